@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Check the date and money calculations that have edge cases
+ *
+ * Usage:
+ *   node check-calculations.js
+ *
+ * Covers when recurring bills next run (cron parsing, rounding to the minute,
+ * month-end clamping and walking through missed occurrences), splitting an
+ * amount in minor units by the largest-remainder rule, and the minimal
+ * "who pays whom" transfers that settle a bill.
+ */
+
+const assert = require('assert');
+const { parseCron, nextCronOccurrence, getNextOccurrence, validateSchedule } = require('./utils/schedule');
+const SplitService = require('./services/splitService');
+const Money = require('./utils/money');
+
+const at = iso => new Date(iso);
+
+// Every occurrence after `from` up to and including `to`, as the scheduler walks
+// them when it catches up after downtime
+function occurrencesBetween(schedule, from, to) {
+  const occurrences = [];
+  for (let next = getNextOccurrence(schedule, from); next && next <= to; next = getNextOccurrence(schedule, next)) {
+    occurrences.push(next.toISOString());
+  }
+  return occurrences;
+}
+
+// [expression, after, expected next occurrence or null]
+const CRON_OCCURRENCES = [
+  ['0 9 * * 1-5', '2025-10-17T09:00:00Z', '2025-10-20T09:00:00.000Z'],
+  ['* * * * *', '2025-10-17T08:59:30Z', '2025-10-17T09:00:00.000Z'],
+  ['* * * * *', '2025-10-17T09:00:00Z', '2025-10-17T09:01:00.000Z'],
+  ['*/15 * * * *', '2025-10-17T23:59:00Z', '2025-10-18T00:00:00.000Z'],
+  ['0 0 * * 7', '2025-10-01T12:00:00Z', '2025-10-05T00:00:00.000Z'],
+  ['0 0 13 * 5', '2025-10-01T00:00:00Z', '2025-10-03T00:00:00.000Z'],
+  ['30 8 1 1,7 *', '2025-07-01T08:30:00Z', '2026-01-01T08:30:00.000Z'],
+  ['0 12 29 2 *', '2025-03-01T00:00:00Z', '2028-02-29T12:00:00.000Z'],
+  ['0 0 31 2 *', '2025-01-01T00:00:00Z', null],
+];
+
+const INVALID_CRONS = ['60 * * * *', '* * * *', '5-1 * * * *', '*/0 * * * *', '* * 0 * *', 'a b c d e'];
+
+// [schedule, after, expected next occurrence]
+const NEXT_OCCURRENCES = [
+  [{ frequency: 'monthly', starts_at: '2025-01-31T10:00:00Z' }, '2025-02-01T00:00:00Z', '2025-02-28T10:00:00.000Z'],
+  [{ frequency: 'monthly', starts_at: '2024-01-31T10:00:00Z' }, '2024-02-01T00:00:00Z', '2024-02-29T10:00:00.000Z'],
+  [{ frequency: 'monthly', interval: 3, starts_at: '2025-01-15T00:00:00Z' }, '2025-03-01T00:00:00Z', '2025-04-15T00:00:00.000Z'],
+  [{ frequency: 'monthly', starts_at: '2025-01-15T00:00:00Z' }, '2025-01-15T00:00:00Z', '2025-02-15T00:00:00.000Z'],
+  [{ frequency: 'weekly', interval: 2, starts_at: '2025-01-01T10:00:00Z' }, '2025-03-01T00:00:00Z', '2025-03-12T10:00:00.000Z'],
+  [{ frequency: 'weekly', starts_at: '2025-01-01T10:00:00Z' }, '2024-12-01T00:00:00Z', '2025-01-01T10:00:00.000Z'],
+  [{ frequency: 'cron', cron: '0 9 * * *', starts_at: '2025-10-20T09:00:00Z' }, '2025-10-01T00:00:00Z', '2025-10-20T09:00:00.000Z'],
+];
+
+// [total, weights, tie-break keys or undefined, expected parts]
+const ALLOCATIONS = [
+  [100, [1, 1, 1], undefined, [34, 33, 33]],
+  [10, [1, 1, 1], ['c', 'a', 'b'], [3, 4, 3]],
+  [1000, [3333, 3333, 3334], undefined, [333, 333, 334]],
+  [7, [1, 2, 4], undefined, [1, 2, 4]],
+  [1, [1, 1, 1, 1], ['d', 'c', 'b', 'a'], [0, 0, 0, 1]],
+  [-100, [1, 1, 1], undefined, [-33, -33, -34]],
+  [500, [0, 0], undefined, [0, 0]],
+  [999, [50, 0, 50], undefined, [500, 0, 499]],
+];
+
+// Balances in minor units (positive: owed money), and how many transfers settle them
+const SETTLEMENTS = [
+  [{ A: 5000, B: -3000, C: -2000 }, 2],
+  [{ A: 10000, B: 5000, C: -15000 }, 2],
+  [{ A: 3000, B: 3000, C: -3000, D: -3000 }, 2],
+  [{ A: 1, B: -1 }, 1],
+  [{ A: 0, B: 0 }, 0],
+  [{ A: 4000, B: 2500, C: -1500, D: -2500, E: -2500 }, 3],
+];
+
+// Apply the transfers for `balances`; every balance must end at zero
+function settle(balances) {
+  const transfers = SplitService.getSettlementTransfers(
+    Object.entries(balances).map(([name, balance]) => ({ participant_id: name, name, balance }))
+  );
+  const remaining = { ...balances };
+  for (const transfer of transfers) {
+    assert.ok(transfer.amount > 0 && Number.isInteger(transfer.amount), `transfer of ${transfer.amount}`);
+    remaining[transfer.from_participant_id] += transfer.amount;
+    remaining[transfer.to_participant_id] -= transfer.amount;
+  }
+  assert.ok(Object.values(remaining).every(balance => balance === 0), `left ${JSON.stringify(remaining)}`);
+  return transfers;
+}
+
+const checks = [
+  ...CRON_OCCURRENCES.map(([expression, after, expected]) => [`"${expression}" after ${after} is ${expected}`, () => {
+    const next = nextCronOccurrence(expression, at(after));
+    assert.strictEqual(next && next.toISOString(), expected);
+  }]),
+  ...INVALID_CRONS.map(expression => [`"${expression}" is rejected`, () => {
+    assert.throws(() => parseCron(expression));
+  }]),
+  ['a cron expression that never matches is rejected', () => {
+    assert.strictEqual(validateSchedule({ frequency: 'cron', cron: '0 0 30 2 *', starts_at: '2025-01-01' }), 'Cron expression never matches');
+  }],
+  ...NEXT_OCCURRENCES.map(([schedule, after, expected]) => [
+    `${schedule.frequency} from ${schedule.starts_at}${schedule.interval ? ` every ${schedule.interval}` : ''} after ${after} is ${expected}`,
+    () => assert.strictEqual(getNextOccurrence(schedule, at(after)).toISOString(), expected),
+  ]),
+  ['catching up on a month-end schedule stays on month ends', () => {
+    const schedule = { frequency: 'monthly', starts_at: '2025-01-31T10:00:00Z' };
+    assert.deepStrictEqual(occurrencesBetween(schedule, at('2025-01-31T10:00:00Z'), at('2025-05-31T10:00:00Z')), [
+      '2025-02-28T10:00:00.000Z',
+      '2025-03-31T10:00:00.000Z',
+      '2025-04-30T10:00:00.000Z',
+      '2025-05-31T10:00:00.000Z',
+    ]);
+  }],
+  ['catching up on a weekday cron schedule skips weekends', () => {
+    const schedule = { frequency: 'cron', cron: '0 9 * * 1-5', starts_at: '2025-10-01T00:00:00Z' };
+    assert.deepStrictEqual(occurrencesBetween(schedule, at('2025-10-16T09:00:00Z'), at('2025-10-21T09:00:00Z')), [
+      '2025-10-17T09:00:00.000Z',
+      '2025-10-20T09:00:00.000Z',
+      '2025-10-21T09:00:00.000Z',
+    ]);
+  }],
+  ...ALLOCATIONS.map(([total, weights, keys, expected]) => [`${total} by ${JSON.stringify(weights)}${keys ? ` (ties to ${keys})` : ''} is ${JSON.stringify(expected)}`, () => {
+    assert.deepStrictEqual(Money.allocate(total, weights, keys), expected);
+  }]),
+  ['allocated parts always add up to the total and differ from the exact share by under one unit', () => {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    for (let round = 0; round < 200; round += 1) {
+      const total = Math.floor(random() * 1000000);
+      const weights = Array.from({ length: 1 + Math.floor(random() * 8) }, () => Math.round(random() * 10000) / 100);
+      weights[0] += 1;
+      const totalWeight = Money.sum(weights);
+      const parts = Money.allocate(total, weights);
+      assert.strictEqual(Money.sum(parts), total, JSON.stringify({ total, weights }));
+      parts.forEach((part, index) => {
+        assert.ok(Number.isInteger(part) && Math.abs(part - (total * weights[index]) / totalWeight) < 1, JSON.stringify({ total, weights }));
+      });
+    }
+  }],
+  ...SETTLEMENTS.map(([balances, count]) => [`${JSON.stringify(balances)} settles in ${count} transfer(s)`, () => {
+    assert.strictEqual(settle(balances).length, count);
+  }]),
+  ['settling never needs more transfers than people owing or owed, less one', () => {
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    for (let round = 0; round < 200; round += 1) {
+      const amounts = Array.from({ length: 2 + Math.floor(random() * 6) }, () => Math.floor(random() * 20000) - 10000);
+      amounts.push(-amounts.reduce((total, amount) => total + amount, 0));
+      const balances = Object.fromEntries(amounts.map((amount, index) => [`P${index}`, amount]));
+      const nonZero = amounts.filter(amount => amount !== 0).length;
+      assert.ok(settle(balances).length <= Math.max(0, nonZero - 1), JSON.stringify(balances));
+    }
+  }],
+];
+
+let failures = 0;
+for (const [name, check] of checks) {
+  try {
+    check();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures += 1;
+    console.log(`❌ ${name}\n${error.message}\n`);
+  }
+}
+
+console.log(`\n${checks.length - failures}/${checks.length} checks passed`);
+process.exit(failures > 0 ? 1 : 0);
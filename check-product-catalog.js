@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Check how product names are matched to catalogue entries
+ *
+ * Usage:
+ *   node check-product-catalog.js
+ *
+ * Names in each SAME pair must match (as a receipt misprint or OCR misread of the
+ * other); names in each DIFFERENT pair are near misses that are other products.
+ */
+
+const assert = require('assert');
+const ProductCatalogService = require('./services/productCatalogService');
+
+const SAME = [
+  ['ORG BANANAS', 'Organic Bananas'],
+  ['0RG BANANA5', 'Organic Bananas'],
+  ['ORGANlC BANANAS', 'Organic Bananas'],
+  ['WHOIE MILK', 'Whole Milk'],
+  ['Cheddar Cheesc', 'Cheddar Cheese'],
+  ['CHKN BREAST BNLS', 'Chicken Breasts Boneless'],
+  ['Tomatoes', 'TOMATO'],
+];
+
+const DIFFERENT = [
+  ['Oat Milk', 'Goat Milk'],
+  ['Milk', 'Silk'],
+  ['Tomato Paste', 'Tomato Pasta'],
+  ['Lemon', 'Melon'],
+  ['White Bread', 'Whole Bread'],
+  ['Milk 2L', 'Milk 1L'],
+  ['Brown Rice', 'Brown Mice'],
+  ['Oat Milk', 'Oat Milk Barista'],
+];
+
+const MATCH_KEYS = [
+  ['Lego Constructor Set', 'lego constructor set'],
+  ['toString valueOf', 'tostring valueof'],
+  ['6PK Eggs', '6 pack egg'],
+];
+
+const checks = [
+  ...SAME.map(([a, b]) => [`"${a}" matches "${b}"`, () => {
+    const score = ProductCatalogService.similarity(ProductCatalogService.matchKey(a), ProductCatalogService.matchKey(b));
+    assert.ok(score > 0, `similarity is ${score}`);
+  }]),
+  ...DIFFERENT.map(([a, b]) => [`"${a}" is not "${b}"`, () => {
+    const match = ProductCatalogService.findBestAlias(ProductCatalogService.matchKey(a), [
+      { catalog_product_id: 'other', match_key: ProductCatalogService.matchKey(b) },
+    ]);
+    assert.strictEqual(match, null, `matched with score ${match && match.score}`);
+  }]),
+  ...MATCH_KEYS.map(([name, key]) => [`"${name}" has the key "${key}"`, () => {
+    assert.strictEqual(ProductCatalogService.matchKey(name), key);
+  }]),
+];
+
+let failures = 0;
+for (const [name, check] of checks) {
+  try {
+    check();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures += 1;
+    console.log(`❌ ${name}\n${error.message}\n`);
+  }
+}
+
+console.log(`\n${checks.length - failures}/${checks.length} checks passed`);
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Check receipt parser profiles against stored OCR text fixtures
+ *
+ * Usage:
+ *   node check-receipt-profiles.js            check every fixture
+ *   node check-receipt-profiles.js costco     only fixtures whose name starts with "costco"
+ *
+ * Each fixture is a pair in utils/receiptProfiles/fixtures: <name>.txt holds the
+ * OCR text and <name>.json the expected parse result (without rawText).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { parseBillText } = require('./utils/receiptParser');
+const { reconcileReceipt } = require('./utils/receiptReconciliation');
+
+const FIXTURES_DIR = path.join(__dirname, 'utils/receiptProfiles/fixtures');
+const filter = process.argv[2];
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.txt'))
+  .map(file => path.basename(file, '.txt'))
+  .filter(name => !filter || name.startsWith(filter));
+
+if (fixtures.length === 0) {
+  console.error(`❌ No fixtures found${filter ? ` matching "${filter}"` : ''}`);
+  process.exit(1);
+}
+
+let failures = 0;
+for (const name of fixtures) {
+  const text = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.txt`), 'utf8');
+  const expectedPath = path.join(FIXTURES_DIR, `${name}.json`);
+  if (!fs.existsSync(expectedPath)) {
+    console.log(`⚠️  ${name}: no ${name}.json with the expected result`);
+    failures += 1;
+    continue;
+  }
+
+  const { rawText, ...actual } = parseBillText(text);
+  try {
+    assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(expectedPath, 'utf8')));
+    const { status } = reconcileReceipt(actual);
+    console.log(`✅ ${name} (${actual.profile || 'generic'}, ${actual.products.length} products, totals ${status})`);
+  } catch (error) {
+    failures += 1;
+    console.log(`❌ ${name}\n${error.message}\n`);
+  }
+}
+
+console.log(`\n${fixtures.length - failures}/${fixtures.length} fixtures passed`);
+process.exit(failures > 0 ? 1 : 0);
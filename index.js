@@ -2,10 +2,13 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 const cookieParser = require('cookie-parser');
 require('dotenv').config();
 const { router, webhookRouter } = require('./routes');
+const recurringBillScheduler = require('./services/recurringBillScheduler');
+const ocrService = require('./services/ocrService');
+const receiptRetentionJob = require('./services/receiptRetentionJob');
+const budgetAlertJob = require('./services/budgetAlertJob');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -41,8 +44,8 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded receipts are not served statically; they are kept in the configured
+// storage (services/storage) and handed out through signed, expiring URLs
 
 // Routes
 app.use('/api', router);
@@ -73,6 +76,18 @@ async function startServer() {
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Health check: http://localhost:${PORT}/api/health`);
+      // Disable on all but one instance when running several servers
+      if (process.env.RECURRING_BILLS_ENABLED !== 'false') {
+        recurringBillScheduler.start();
+      }
+      if (process.env.RECEIPT_RETENTION_ENABLED !== 'false') {
+        receiptRetentionJob.start();
+      }
+      if (process.env.BUDGET_ALERTS_ENABLED !== 'false') {
+        budgetAlertJob.start();
+      }
+      // Pick up receipts that were still queued when the server last stopped
+      ocrService.resumePendingJobs().catch(error => console.error('Failed to resume OCR jobs:', error));
     });
   } catch (error) {
     console.error('Failed to start server:', error);
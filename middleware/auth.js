@@ -17,7 +17,7 @@ const authenticateToken = async (req, res, next) => {
     // Get user from database using Prisma
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: { id: true, email: true, name: true, avatar_url: true, provider: true },
+      select: { id: true, email: true, name: true, avatar_url: true, provider: true, home_currency: true },
     });
     if (!user) {
       return res.status(401).json({ error: 'Invalid token' });
@@ -44,7 +44,7 @@ const optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: { id: true, email: true, name: true, avatar_url: true, provider: true },
+      select: { id: true, email: true, name: true, avatar_url: true, provider: true, home_currency: true },
     });
     req.user = user || null;
   } catch (error) {
@@ -53,6 +53,20 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Admin-only middleware (use after authenticateToken). Admins are listed by
+// email in the comma-separated ADMIN_EMAILS environment variable.
+const requireAdmin = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
 // Generate JWT token
 const generateToken = (userId) => {
   return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
@@ -61,6 +75,7 @@ const generateToken = (userId) => {
 module.exports = {
   authenticateToken,
   optionalAuth,
+  requireAdmin,
   generateToken,
   JWT_SECRET
 }; 
\ No newline at end of file
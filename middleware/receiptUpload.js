@@ -0,0 +1,94 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const PremiumService = require('../services/premiumService');
+const PdfReceiptReader = require('../services/pdfReceiptReader');
+const ReceiptStorageService = require('../services/receiptStorageService');
+
+// Receipt images and PDFs are written to a local working directory with a unique
+// name, then moved into storage when their asset is recorded; used by the upload
+// routes and the bills router's create-from-receipt endpoint. Every file derived
+// from an upload (PDF pages, debug images, thumbnails) starts with the same stem.
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = ReceiptStorageService.WORK_DIR;
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  }
+});
+
+const receiptUpload = multer({
+  storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|bmp|tiff|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image or PDF files are allowed!'));
+    }
+  }
+});
+
+// PDF receipts are a premium feature. Runs after the multer middleware so a
+// rejected upload can be removed again.
+async function requirePdfFeature(req, res, next) {
+  if (!req.file || !PdfReceiptReader.isPdf(req.file)) {
+    return next();
+  }
+  try {
+    const features = req.user ? await PremiumService.getAvailableFeatures(req.user.id) : null;
+    if (features && features.pdf_receipts) {
+      return next();
+    }
+    fs.unlinkSync(req.file.path);
+    res.status(403).json({
+      error: 'PDF receipts are a premium feature',
+      message: 'Upgrade to premium to upload PDF receipts'
+    });
+  } catch (error) {
+    console.error('Error checking PDF receipt access:', error);
+    res.status(500).json({ error: 'Failed to check PDF receipt access' });
+  }
+}
+
+// Signed-in uploads count towards the user's receipt storage quota. Anonymous
+// uploads are only kept for a day and aren't counted.
+async function checkStorageQuota(req, res, next) {
+  if (!req.file || !req.user) {
+    return next();
+  }
+  try {
+    const usage = await ReceiptStorageService.getStorageUsage(req.user.id);
+    if (req.file.size <= usage.remaining_bytes) {
+      return next();
+    }
+    fs.unlinkSync(req.file.path);
+    res.status(403).json({
+      error: 'Receipt storage limit reached',
+      message: usage.premium
+        ? 'Delete old receipts to free up space'
+        : 'Upgrade to premium for more receipt storage',
+      storage: usage
+    });
+  } catch (error) {
+    console.error('Error checking receipt storage:', error);
+    res.status(500).json({ error: 'Failed to check receipt storage' });
+  }
+}
+
+module.exports = receiptUpload;
+module.exports.requirePdfFeature = requirePdfFeature;
+module.exports.checkStorageQuota = checkStorageQuota;
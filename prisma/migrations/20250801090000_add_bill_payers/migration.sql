@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "BillPayer" (
+    "id" TEXT NOT NULL,
+    "bill_id" TEXT NOT NULL,
+    "participant_id" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BillPayer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BillPayer_bill_id_participant_id_key" ON "BillPayer"("bill_id", "participant_id");
+
+-- AddForeignKey
+ALTER TABLE "BillPayer" ADD CONSTRAINT "BillPayer_bill_id_fkey" FOREIGN KEY ("bill_id") REFERENCES "Bill"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BillPayer" ADD CONSTRAINT "BillPayer_participant_id_fkey" FOREIGN KEY ("participant_id") REFERENCES "Participant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "BillAdjustment" (
+    "id" TEXT NOT NULL,
+    "bill_id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "label" TEXT,
+    "calculation" TEXT NOT NULL DEFAULT 'fixed',
+    "value" DOUBLE PRECISION NOT NULL,
+    "split_method" TEXT NOT NULL DEFAULT 'proportional',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BillAdjustment_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "BillAdjustment" ADD CONSTRAINT "BillAdjustment_bill_id_fkey" FOREIGN KEY ("bill_id") REFERENCES "Bill"("id") ON DELETE CASCADE ON UPDATE CASCADE;
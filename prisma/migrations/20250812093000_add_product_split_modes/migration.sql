@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "split_mode" TEXT NOT NULL DEFAULT 'equal';
+
+-- AlterTable
+ALTER TABLE "ProductParticipant" ADD COLUMN     "share_value" DOUBLE PRECISION;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "home_currency" TEXT NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE "Bill" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'USD';
+
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "id" TEXT NOT NULL,
+    "base_currency" TEXT NOT NULL,
+    "quote_currency" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "effective_date" TIMESTAMP(3) NOT NULL,
+    "source" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExchangeRate_base_currency_quote_currency_effective_date_key" ON "ExchangeRate"("base_currency", "quote_currency", "effective_date");
@@ -0,0 +1,52 @@
+-- Money moves from DOUBLE PRECISION to integer minor units of the bill currency.
+-- Most currencies have 2 decimals; the zero- and three-decimal ones are listed here
+-- and must match MINOR_UNIT_EXPONENTS in utils/money.js.
+CREATE FUNCTION pg_temp.minor_unit_factor(currency TEXT) RETURNS INTEGER AS $$
+  SELECT CASE
+    WHEN currency IN ('BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF') THEN 1
+    WHEN currency IN ('BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND') THEN 1000
+    ELSE 100
+  END
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- AlterTable
+ALTER TABLE "Bill" ADD COLUMN     "total_amount_minor" INTEGER NOT NULL DEFAULT 0;
+UPDATE "Bill" SET "total_amount_minor" = ROUND("total_amount" * pg_temp.minor_unit_factor("currency"));
+ALTER TABLE "Bill" ALTER COLUMN "total_amount_minor" DROP DEFAULT;
+ALTER TABLE "Bill" DROP COLUMN "total_amount";
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "price_minor" INTEGER NOT NULL DEFAULT 0;
+UPDATE "Product" SET "price_minor" = ROUND("Product"."price" * pg_temp.minor_unit_factor("Bill"."currency"))
+  FROM "Bill" WHERE "Bill"."id" = "Product"."bill_id";
+ALTER TABLE "Product" ALTER COLUMN "price_minor" DROP DEFAULT;
+ALTER TABLE "Product" DROP COLUMN "price";
+
+-- Exact split values were decimal amounts; they are now minor units too
+UPDATE "ProductParticipant" SET "share_value" = ROUND("ProductParticipant"."share_value" * pg_temp.minor_unit_factor("Bill"."currency"))
+  FROM "Product", "Bill"
+  WHERE "Product"."id" = "ProductParticipant"."product_id"
+    AND "Bill"."id" = "Product"."bill_id"
+    AND "Product"."split_mode" = 'exact';
+
+-- AlterTable
+ALTER TABLE "BillPayer" ADD COLUMN     "amount_minor" INTEGER NOT NULL DEFAULT 0;
+UPDATE "BillPayer" SET "amount_minor" = ROUND("BillPayer"."amount" * pg_temp.minor_unit_factor("Bill"."currency"))
+  FROM "Bill" WHERE "Bill"."id" = "BillPayer"."bill_id";
+ALTER TABLE "BillPayer" ALTER COLUMN "amount_minor" DROP DEFAULT;
+ALTER TABLE "BillPayer" DROP COLUMN "amount";
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "amount_minor" INTEGER NOT NULL DEFAULT 0;
+UPDATE "Payment" SET "amount_minor" = ROUND("Payment"."amount" * pg_temp.minor_unit_factor("Bill"."currency"))
+  FROM "Bill" WHERE "Bill"."id" = "Payment"."bill_id";
+ALTER TABLE "Payment" ALTER COLUMN "amount_minor" DROP DEFAULT;
+ALTER TABLE "Payment" DROP COLUMN "amount";
+
+-- AlterTable
+ALTER TABLE "BillAdjustment" ADD COLUMN     "percentage" DOUBLE PRECISION,
+ADD COLUMN     "amount_minor" INTEGER;
+UPDATE "BillAdjustment" SET "percentage" = "value" WHERE "calculation" = 'percentage';
+UPDATE "BillAdjustment" SET "amount_minor" = ROUND("BillAdjustment"."value" * pg_temp.minor_unit_factor("Bill"."currency"))
+  FROM "Bill" WHERE "Bill"."id" = "BillAdjustment"."bill_id" AND "BillAdjustment"."calculation" = 'fixed';
+ALTER TABLE "BillAdjustment" DROP COLUMN "value";
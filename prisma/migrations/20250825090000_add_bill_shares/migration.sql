@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "BillShare" (
+    "id" TEXT NOT NULL,
+    "bill_id" TEXT NOT NULL,
+    "participant_id" TEXT,
+    "token_hash" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "revoked_at" TIMESTAMP(3),
+    "last_viewed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BillShare_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BillShare_token_hash_key" ON "BillShare"("token_hash");
+
+-- AddForeignKey
+ALTER TABLE "BillShare" ADD CONSTRAINT "BillShare_bill_id_fkey" FOREIGN KEY ("bill_id") REFERENCES "Bill"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BillShare" ADD CONSTRAINT "BillShare_participant_id_fkey" FOREIGN KEY ("participant_id") REFERENCES "Participant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "Participant" ADD COLUMN     "user_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "ParticipantInvite" (
+    "id" TEXT NOT NULL,
+    "participant_id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "accepted_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ParticipantInvite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Participant_user_id_idx" ON "Participant"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ParticipantInvite_token_hash_key" ON "ParticipantInvite"("token_hash");
+
+-- AddForeignKey
+ALTER TABLE "Participant" ADD CONSTRAINT "Participant_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ParticipantInvite" ADD CONSTRAINT "ParticipantInvite_participant_id_fkey" FOREIGN KEY ("participant_id") REFERENCES "Participant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
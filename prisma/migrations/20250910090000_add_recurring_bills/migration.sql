@@ -0,0 +1,57 @@
+-- AlterTable
+ALTER TABLE "Bill" ADD COLUMN     "recurring_bill_id" TEXT,
+ADD COLUMN     "scheduled_for" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "RecurringBill" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "template_id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "amount_minor" INTEGER,
+    "frequency" TEXT NOT NULL,
+    "interval" INTEGER NOT NULL DEFAULT 1,
+    "cron" TEXT,
+    "starts_at" TIMESTAMP(3) NOT NULL,
+    "next_run_at" TIMESTAMP(3),
+    "last_run_at" TIMESTAMP(3),
+    "last_error" TEXT,
+    "catch_up" BOOLEAN NOT NULL DEFAULT true,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RecurringBill_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RecurringBillProduct" (
+    "id" TEXT NOT NULL,
+    "recurring_bill_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "price_minor" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RecurringBillProduct_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Bill_recurring_bill_id_scheduled_for_key" ON "Bill"("recurring_bill_id", "scheduled_for");
+
+-- CreateIndex
+CREATE INDEX "RecurringBill_active_next_run_at_idx" ON "RecurringBill"("active", "next_run_at");
+
+-- AddForeignKey
+ALTER TABLE "Bill" ADD CONSTRAINT "Bill_recurring_bill_id_fkey" FOREIGN KEY ("recurring_bill_id") REFERENCES "RecurringBill"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringBill" ADD CONSTRAINT "RecurringBill_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringBill" ADD CONSTRAINT "RecurringBill_template_id_fkey" FOREIGN KEY ("template_id") REFERENCES "BillTemplate"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringBillProduct" ADD CONSTRAINT "RecurringBillProduct_recurring_bill_id_fkey" FOREIGN KEY ("recurring_bill_id") REFERENCES "RecurringBill"("id") ON DELETE CASCADE ON UPDATE CASCADE;
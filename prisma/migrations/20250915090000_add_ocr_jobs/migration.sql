@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "OcrJob" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "progress" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "image_url" TEXT NOT NULL,
+    "file_path" TEXT NOT NULL,
+    "extracted_text" TEXT,
+    "parsed_data" JSONB,
+    "error" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "started_at" TIMESTAMP(3),
+    "completed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OcrJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OcrJob_status_created_at_idx" ON "OcrJob"("status", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "OcrJob" ADD CONSTRAINT "OcrJob_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "OcrJob" ADD COLUMN     "preprocess_options" JSONB,
+ADD COLUMN     "processed_image_url" TEXT,
+ADD COLUMN     "preprocessing" JSONB;
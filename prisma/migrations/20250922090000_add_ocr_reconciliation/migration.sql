@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "OcrJob" ADD COLUMN     "reconciliation" JSONB,
+ADD COLUMN     "ocr_confidence" DOUBLE PRECISION;
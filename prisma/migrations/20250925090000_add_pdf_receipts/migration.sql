@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "OcrJob" ADD COLUMN     "page_count" INTEGER,
+ADD COLUMN     "pages" JSONB;
@@ -0,0 +1,62 @@
+-- CreateTable
+CREATE TABLE "ReceiptAsset" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT,
+    "bill_id" TEXT,
+    "filename" TEXT NOT NULL,
+    "original_name" TEXT,
+    "mime_type" TEXT NOT NULL,
+    "size_bytes" INTEGER NOT NULL,
+    "thumbnail_filename" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReceiptAsset_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "OcrJob" ADD COLUMN     "asset_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReceiptAsset_filename_key" ON "ReceiptAsset"("filename");
+
+-- CreateIndex
+CREATE INDEX "ReceiptAsset_user_id_created_at_idx" ON "ReceiptAsset"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "ReceiptAsset_bill_id_idx" ON "ReceiptAsset"("bill_id");
+
+-- AddForeignKey
+ALTER TABLE "ReceiptAsset" ADD CONSTRAINT "ReceiptAsset_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReceiptAsset" ADD CONSTRAINT "ReceiptAsset_bill_id_fkey" FOREIGN KEY ("bill_id") REFERENCES "Bill"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OcrJob" ADD CONSTRAINT "OcrJob_asset_id_fkey" FOREIGN KEY ("asset_id") REFERENCES "ReceiptAsset"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing uploads become assets so the retention job doesn't treat them as
+-- orphans. Their size isn't known here, so they don't count towards quotas.
+INSERT INTO "ReceiptAsset" ("id", "user_id", "filename", "mime_type", "size_bytes", "created_at", "updated_at")
+SELECT gen_random_uuid()::TEXT, "user_id", substring("image_url" FROM 10), 'application/octet-stream', 0, "created_at", CURRENT_TIMESTAMP
+  FROM "OcrJob" WHERE "image_url" LIKE '/uploads/%'
+ON CONFLICT ("filename") DO NOTHING;
+
+INSERT INTO "ReceiptAsset" ("id", "user_id", "filename", "mime_type", "size_bytes", "created_at", "updated_at")
+SELECT gen_random_uuid()::TEXT, "user_id", substring("image_url" FROM 10), 'application/octet-stream', 0, "created_at", CURRENT_TIMESTAMP
+  FROM "Bill" WHERE "image_url" LIKE '/uploads/%'
+ON CONFLICT ("filename") DO NOTHING;
+
+UPDATE "OcrJob" SET "asset_id" = "ReceiptAsset"."id"
+  FROM "ReceiptAsset" WHERE "OcrJob"."image_url" = '/uploads/' || "ReceiptAsset"."filename";
+
+UPDATE "ReceiptAsset" SET "bill_id" = "Bill"."id", "user_id" = "Bill"."user_id"
+  FROM "Bill" WHERE "Bill"."image_url" = '/uploads/' || "ReceiptAsset"."filename";
+
+-- Files are no longer served statically from /uploads
+UPDATE "Bill" SET "image_url" = '/api/upload/image/' || substring("image_url" FROM 10)
+  WHERE "image_url" LIKE '/uploads/%';
+UPDATE "OcrJob" SET "image_url" = '/api/upload/image/' || substring("image_url" FROM 10)
+  WHERE "image_url" LIKE '/uploads/%';
+UPDATE "OcrJob" SET "processed_image_url" = '/api/upload/image/' || substring("processed_image_url" FROM 10)
+  WHERE "processed_image_url" LIKE '/uploads/%';
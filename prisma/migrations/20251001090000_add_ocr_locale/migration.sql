@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "OcrJob" ADD COLUMN     "locale" TEXT;
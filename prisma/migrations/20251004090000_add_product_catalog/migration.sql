@@ -0,0 +1,50 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "catalog_product_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "CatalogProduct" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "category" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CatalogProduct_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CatalogAlias" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "catalog_product_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "match_key" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CatalogAlias_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Product_catalog_product_id_idx" ON "Product"("catalog_product_id");
+
+-- CreateIndex
+CREATE INDEX "CatalogProduct_user_id_name_idx" ON "CatalogProduct"("user_id", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CatalogAlias_user_id_match_key_key" ON "CatalogAlias"("user_id", "match_key");
+
+-- CreateIndex
+CREATE INDEX "CatalogAlias_catalog_product_id_idx" ON "CatalogAlias"("catalog_product_id");
+
+-- AddForeignKey
+ALTER TABLE "Product" ADD CONSTRAINT "Product_catalog_product_id_fkey" FOREIGN KEY ("catalog_product_id") REFERENCES "CatalogProduct"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CatalogProduct" ADD CONSTRAINT "CatalogProduct_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CatalogAlias" ADD CONSTRAINT "CatalogAlias_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CatalogAlias" ADD CONSTRAINT "CatalogAlias_catalog_product_id_fkey" FOREIGN KEY ("catalog_product_id") REFERENCES "CatalogProduct"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,86 @@
+-- CreateTable
+CREATE TABLE "Category" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "color" TEXT,
+    "keywords" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Category_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "category_id" TEXT,
+ADD COLUMN     "category_source" TEXT;
+
+-- AlterTable
+ALTER TABLE "CatalogProduct" ADD COLUMN     "category_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Category_user_id_slug_key" ON "Category"("user_id", "slug");
+
+-- CreateIndex
+CREATE INDEX "Product_category_id_idx" ON "Product"("category_id");
+
+-- AddForeignKey
+ALTER TABLE "Category" ADD CONSTRAINT "Category_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Product" ADD CONSTRAINT "Product_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "Category"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CatalogProduct" ADD CONSTRAINT "CatalogProduct_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "Category"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Default taxonomy. Keywords are matched as whole words against product names
+-- after catalogue normalisation (singular, abbreviations expanded).
+INSERT INTO "Category" ("id", "user_id", "slug", "name", "color", "keywords", "updated_at") VALUES
+('default-produce', NULL, 'produce', 'Produce', '#96CEB4', ARRAY['fruit', 'vegetable', 'banana', 'apple', 'orange', 'lemon', 'lime', 'grape', 'berry', 'strawberry', 'blueberry', 'avocado', 'tomato', 'potato', 'onion', 'garlic', 'carrot', 'lettuce', 'salad', 'spinach', 'broccoli', 'cucumber', 'pepper', 'mushroom', 'herb'], CURRENT_TIMESTAMP),
+('default-dairy', NULL, 'dairy', 'Dairy & eggs', '#FFEAA7', ARRAY['milk', 'cheese', 'cheddar', 'mozzarella', 'yogurt', 'yoghurt', 'butter', 'cream', 'egg'], CURRENT_TIMESTAMP),
+('default-meat', NULL, 'meat', 'Meat & seafood', '#FF6B6B', ARRAY['meat', 'chicken', 'beef', 'pork', 'lamb', 'turkey', 'ham', 'bacon', 'sausage', 'mince', 'steak', 'fish', 'salmon', 'tuna', 'shrimp', 'prawn'], CURRENT_TIMESTAMP),
+('default-bakery', NULL, 'bakery', 'Bakery', '#F7DC6F', ARRAY['bread', 'bagel', 'baguette', 'croissant', 'muffin', 'bun', 'roll', 'tortilla', 'cake', 'pastry'], CURRENT_TIMESTAMP),
+('default-pantry', NULL, 'pantry', 'Pantry', '#DDA0DD', ARRAY['rice', 'pasta', 'noodle', 'flour', 'sugar', 'oil', 'olive oil', 'vinegar', 'cereal', 'oat', 'sauce', 'bean', 'soup', 'spice', 'salt', 'peanut butter', 'jam', 'honey', 'canned'], CURRENT_TIMESTAMP),
+('default-snacks', NULL, 'snacks', 'Snacks & sweets', '#F8C471', ARRAY['snack', 'chip', 'crisp', 'cookie', 'biscuit', 'cracker', 'chocolate', 'candy', 'sweet', 'popcorn', 'nut'], CURRENT_TIMESTAMP),
+('default-frozen', NULL, 'frozen', 'Frozen', '#85C1E9', ARRAY['frozen', 'ice cream', 'ice'], CURRENT_TIMESTAMP),
+('default-drinks', NULL, 'drinks', 'Drinks', '#45B7D1', ARRAY['water', 'juice', 'soda', 'cola', 'lemonade', 'coffee', 'tea', 'kombucha', 'energy drink'], CURRENT_TIMESTAMP),
+('default-alcohol', NULL, 'alcohol', 'Alcohol', '#C0392B', ARRAY['beer', 'lager', 'ale', 'ipa', 'cider', 'wine', 'prosecco', 'champagne', 'vodka', 'gin', 'rum', 'whisky', 'whiskey', 'tequila'], CURRENT_TIMESTAMP),
+('default-household', NULL, 'household', 'Household', '#4ECDC4', ARRAY['detergent', 'laundry', 'bleach', 'cleaner', 'dish soap', 'dishwasher', 'sponge', 'paper towel', 'toilet paper', 'tissue', 'trash bag', 'bin bag', 'foil', 'battery', 'light bulb'], CURRENT_TIMESTAMP),
+('default-personal-care', NULL, 'personal-care', 'Personal care', '#98D8C8', ARRAY['shampoo', 'conditioner', 'soap', 'shower gel', 'toothpaste', 'toothbrush', 'deodorant', 'razor', 'lotion', 'sunscreen'], CURRENT_TIMESTAMP),
+('default-eating-out', NULL, 'eating-out', 'Eating out', '#E59866', ARRAY['meal', 'takeaway', 'delivery', 'pizza', 'burger', 'sandwich', 'coffee to go'], CURRENT_TIMESTAMP),
+('default-other', NULL, 'other', 'Other', '#BDC3C7', ARRAY[]::TEXT[], CURRENT_TIMESTAMP);
+
+-- Free-text catalogue categories become categories: built-in ones where the name
+-- matches, otherwise a category of the entry's owner
+INSERT INTO "Category" ("id", "user_id", "slug", "name", "updated_at")
+SELECT gen_random_uuid()::TEXT, "user_id", "slug", MIN("name"), CURRENT_TIMESTAMP
+FROM (
+    SELECT "user_id", trim("category") AS "name",
+        trim(BOTH '-' FROM regexp_replace(lower(trim("category")), '[^a-z0-9]+', '-', 'g')) AS "slug"
+    FROM "CatalogProduct"
+    WHERE "category" IS NOT NULL
+) AS "named"
+WHERE "slug" <> '' AND NOT EXISTS (
+    SELECT 1 FROM "Category" AS "builtin"
+    WHERE "builtin"."user_id" IS NULL AND (lower("builtin"."name") = lower("named"."name") OR "builtin"."slug" = "named"."slug")
+)
+GROUP BY "user_id", "slug";
+
+UPDATE "CatalogProduct" AS "entry" SET "category_id" = (
+    SELECT "category"."id" FROM "Category" AS "category"
+    WHERE ("category"."user_id" IS NULL OR "category"."user_id" = "entry"."user_id")
+        AND (lower("category"."name") = lower(trim("entry"."category"))
+            OR "category"."slug" = trim(BOTH '-' FROM regexp_replace(lower(trim("entry"."category")), '[^a-z0-9]+', '-', 'g')))
+    ORDER BY "category"."user_id" NULLS FIRST
+    LIMIT 1
+)
+WHERE "entry"."category" IS NOT NULL;
+
+-- Products of a categorised entry take its category
+UPDATE "Product" AS "product" SET "category_id" = "entry"."category_id", "category_source" = 'catalog'
+FROM "CatalogProduct" AS "entry"
+WHERE "product"."catalog_product_id" = "entry"."id" AND "entry"."category_id" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "CatalogProduct" DROP COLUMN "category";
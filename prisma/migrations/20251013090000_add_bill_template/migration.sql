@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "Bill" ADD COLUMN     "template_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Bill_user_id_created_at_idx" ON "Bill"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "Bill_template_id_idx" ON "Bill"("template_id");
+
+-- AddForeignKey
+ALTER TABLE "Bill" ADD CONSTRAINT "Bill_template_id_fkey" FOREIGN KEY ("template_id") REFERENCES "BillTemplate"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Bills created by a recurring schedule came from the schedule's template
+UPDATE "Bill" SET "template_id" = "RecurringBill"."template_id"
+FROM "RecurringBill"
+WHERE "Bill"."recurring_bill_id" = "RecurringBill"."id";
@@ -0,0 +1,11 @@
+-- DropForeignKey
+ALTER TABLE "Budget" DROP CONSTRAINT "Budget_category_id_fkey";
+
+-- DropForeignKey
+ALTER TABLE "Budget" DROP CONSTRAINT "Budget_group_id_fkey";
+
+-- AddForeignKey
+ALTER TABLE "Budget" ADD CONSTRAINT "Budget_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "Category"("id") ON DELETE NO ACTION ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Budget" ADD CONSTRAINT "Budget_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "Group"("id") ON DELETE NO ACTION ON UPDATE CASCADE;
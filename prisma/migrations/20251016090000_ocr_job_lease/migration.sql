@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "OcrJob" ADD COLUMN     "locked_by" TEXT,
+ADD COLUMN     "locked_until" TIMESTAMP(3);
@@ -0,0 +1,187 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../prismaClient');
+const Money = require('../utils/money');
+const SplitService = require('../services/splitService');
+
+// Mounted by the bills router under /:billId/adjustments, which already authenticates
+const router = express.Router({ mergeParams: true });
+
+// Validate type/calculation/value/split method of a bill adjustment
+function validateAdjustment(adjustment, currency) {
+  const { type, calculation, value, split_method } = adjustment;
+  if (!type || value === undefined) {
+    return 'Adjustment type and value are required';
+  }
+  if (!SplitService.ADJUSTMENT_TYPES.includes(type)) {
+    return `Adjustment type must be one of: ${SplitService.ADJUSTMENT_TYPES.join(', ')}`;
+  }
+  if (!SplitService.ADJUSTMENT_CALCULATIONS.includes(calculation)) {
+    return `Adjustment calculation must be one of: ${SplitService.ADJUSTMENT_CALCULATIONS.join(', ')}`;
+  }
+  if (!SplitService.ADJUSTMENT_SPLIT_METHODS.includes(split_method)) {
+    return `Adjustment split method must be one of: ${SplitService.ADJUSTMENT_SPLIT_METHODS.join(', ')}`;
+  }
+  if (!Money.isValidAmount(value, calculation === 'fixed' ? currency : null) || !(value >= 0)) {
+    return 'Adjustment value must be a non-negative number';
+  }
+  if (calculation === 'percentage' && type === 'discount' && value > 100) {
+    return 'Discount percentage cannot exceed 100';
+  }
+  return null;
+}
+
+// Percentages are stored as-is; fixed amounts in minor units of the bill currency
+function toStoredValue(calculation, value, currency) {
+  return calculation === 'percentage'
+    ? { calculation, percentage: value, amount_minor: null }
+    : { calculation, percentage: null, amount_minor: Money.toMinorUnits(value, currency) };
+}
+
+// Inverse of toStoredValue, for responses
+function withValue(adjustment, currency) {
+  return { ...adjustment, value: SplitService.getAdjustmentValue(adjustment, currency) };
+}
+
+// Get all adjustments for a bill
+router.get('/', async (req, res) => {
+  try {
+    const { billId } = req.params;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const adjustments = await prisma.billAdjustment.findMany({
+      where: { bill_id: billId },
+      orderBy: { created_at: 'asc' },
+    });
+
+    res.json(adjustments.map(adjustment => withValue(adjustment, bill.currency)));
+  } catch (error) {
+    console.error('Error fetching adjustments:', error);
+    res.status(500).json({ error: 'Failed to fetch adjustments' });
+  }
+});
+
+// Add a tax, tip, discount, delivery fee or service charge to a bill
+router.post('/', async (req, res) => {
+  try {
+    const { billId } = req.params;
+    const { type, label, calculation = 'fixed', value, split_method = 'proportional' } = req.body;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const validationError = validateAdjustment({ type, calculation, value, split_method }, bill.currency);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const adjustmentId = uuidv4();
+    await prisma.billAdjustment.create({
+      data: {
+        id: adjustmentId,
+        bill_id: billId,
+        type,
+        label: label || null,
+        ...toStoredValue(calculation, value, bill.currency),
+        split_method,
+      },
+    });
+
+    res.status(201).json({
+      id: adjustmentId,
+      message: 'Adjustment added successfully'
+    });
+  } catch (error) {
+    console.error('Error adding adjustment:', error);
+    res.status(500).json({ error: 'Failed to add adjustment' });
+  }
+});
+
+// Update a bill adjustment
+router.put('/:adjustmentId', async (req, res) => {
+  try {
+    const { billId, adjustmentId } = req.params;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const existing = await prisma.billAdjustment.findFirst({
+      where: { id: adjustmentId, bill_id: billId },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Adjustment not found' });
+    }
+
+    const updated = {
+      type: req.body.type ?? existing.type,
+      calculation: req.body.calculation ?? existing.calculation,
+      value: req.body.value ?? withValue(existing, bill.currency).value,
+      split_method: req.body.split_method ?? existing.split_method,
+    };
+    const validationError = validateAdjustment(updated, bill.currency);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await prisma.billAdjustment.update({
+      where: { id: adjustmentId },
+      data: {
+        type: updated.type,
+        ...toStoredValue(updated.calculation, updated.value, bill.currency),
+        split_method: updated.split_method,
+        label: req.body.label !== undefined ? req.body.label || null : existing.label,
+      },
+    });
+
+    res.json({ message: 'Adjustment updated successfully' });
+  } catch (error) {
+    console.error('Error updating adjustment:', error);
+    res.status(500).json({ error: 'Failed to update adjustment' });
+  }
+});
+
+// Delete a bill adjustment
+router.delete('/:adjustmentId', async (req, res) => {
+  try {
+    const { billId, adjustmentId } = req.params;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const result = await prisma.billAdjustment.deleteMany({
+      where: { id: adjustmentId, bill_id: billId },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Adjustment not found' });
+    }
+
+    res.json({ message: 'Adjustment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting adjustment:', error);
+    res.status(500).json({ error: 'Failed to delete adjustment' });
+  }
+});
+
+module.exports = router;
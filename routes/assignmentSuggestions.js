@@ -0,0 +1,90 @@
+const express = require('express');
+const prisma = require('../prismaClient');
+const AssignmentSuggestionService = require('../services/assignmentSuggestionService');
+
+// Mounted by the bills router under /:billId/suggestions, which already authenticates
+const router = express.Router({ mergeParams: true });
+
+// The owner's bill with what the suggestions need: participants and current assignments
+function findBill(billId, userId) {
+  return prisma.bill.findFirst({
+    where: { id: billId, user_id: userId },
+    include: {
+      participants: true,
+      products: { include: { productParticipants: true }, orderBy: { created_at: 'asc' } },
+    },
+  });
+}
+
+// ?min_confidence= (0-1) and the optional product_ids of an accept request.
+// Returns { minConfidence, productIds } or { error }.
+function parseFilters({ min_confidence, product_ids }) {
+  const minConfidence = min_confidence === undefined ? 0 : Number(min_confidence);
+  if (!(minConfidence >= 0 && minConfidence <= 1)) {
+    return { error: 'min_confidence must be between 0 and 1' };
+  }
+  if (product_ids !== undefined && !Array.isArray(product_ids)) {
+    return { error: 'product_ids must be an array' };
+  }
+  return { minConfidence, productIds: product_ids };
+}
+
+// Suggested participants and splits for each product, based on earlier bills with
+// the same participants. Products without history are left out.
+router.get('/', async (req, res) => {
+  try {
+    const { minConfidence, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const bill = await findBill(req.params.billId, req.user.id);
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+    const suggestions = await AssignmentSuggestionService.suggestForBill(bill);
+    res.json({
+      suggestions: suggestions.filter(suggestion => suggestion.confidence >= minConfidence),
+      product_count: bill.products.length,
+    });
+  } catch (error) {
+    console.error('Error suggesting assignments:', error);
+    res.status(500).json({ error: 'Failed to suggest assignments' });
+  }
+});
+
+// Apply the current suggestions in one call: all of them, those for product_ids,
+// and/or those with at least min_confidence. Suggestions matching the current
+// assignment are applied too, which is harmless.
+router.post('/accept', async (req, res) => {
+  try {
+    const { minConfidence, productIds, error } = parseFilters(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const bill = await findBill(req.params.billId, req.user.id);
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+    const unknown = (productIds || []).filter(id => !bill.products.some(product => product.id === id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown product(s): ${unknown.join(', ')}` });
+    }
+
+    const suggestions = (await AssignmentSuggestionService.suggestForBill(bill)).filter(suggestion =>
+      suggestion.confidence >= minConfidence && (!productIds || productIds.includes(suggestion.product_id)));
+    const result = await AssignmentSuggestionService.acceptSuggestions(bill, suggestions);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({
+      applied: result.applied,
+      skipped: bill.products.map(product => product.id).filter(id => !result.applied.includes(id)),
+      message: `Applied ${result.applied.length} suggestion(s)`,
+    });
+  } catch (error) {
+    console.error('Error accepting assignment suggestions:', error);
+    res.status(500).json({ error: 'Failed to accept assignment suggestions' });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const prisma = require('../prismaClient');
-const { generateToken } = require('../middleware/auth');
+const { authenticateToken, generateToken } = require('../middleware/auth');
+const CurrencyService = require('../services/currencyService');
 const notificationService = require('../services/notificationService');
 
 const router = express.Router();
@@ -180,7 +181,7 @@ router.get('/me', async (req, res) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: { id: true, email: true, name: true, avatar_url: true, provider: true, created_at: true },
+      select: { id: true, email: true, name: true, avatar_url: true, provider: true, home_currency: true, created_at: true },
     });
 
     if (!user) {
@@ -194,6 +195,29 @@ router.get('/me', async (req, res) => {
   }
 });
 
+// Update the home currency used for analytics and bill summaries
+router.put('/home-currency', authenticateToken, async (req, res) => {
+  try {
+    const currency = String(req.body.currency || '').toUpperCase();
+    if (!CurrencyService.isValidCurrency(currency)) {
+      return res.status(400).json({ error: 'A three-letter currency code is required' });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        home_currency: currency,
+        updated_at: new Date(),
+      },
+    });
+
+    res.json({ message: 'Home currency updated successfully', home_currency: currency });
+  } catch (error) {
+    console.error('Update home currency error:', error);
+    res.status(500).json({ error: 'Failed to update home currency' });
+  }
+});
+
 // Logout (client-side token removal)
 router.post('/logout', (req, res) => {
   res.json({ message: 'Logged out successfully' });
@@ -1,28 +1,61 @@
 const express = require('express');
+const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const prisma = require('../prismaClient');
 const { authenticateToken } = require('../middleware/auth');
+const receiptUpload = require('../middleware/receiptUpload');
 const PremiumService = require('../services/premiumService');
+const SplitService = require('../services/splitService');
+const CurrencyService = require('../services/currencyService');
+const GroupService = require('../services/groupService');
+const ReceiptBillService = require('../services/receiptBillService');
+const ReceiptStorageService = require('../services/receiptStorageService');
+const CategoryService = require('../services/categoryService');
+const ocrService = require('../services/ocrService');
+const Money = require('../utils/money');
+const paymentRoutes = require('./payments');
+const adjustmentRoutes = require('./adjustments');
+const shareRoutes = require('./shares');
+const participantInviteRoutes = require('./participantInvites');
+const assignmentSuggestionRoutes = require('./assignmentSuggestions');
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Settle-up payments between a bill's participants
+router.use('/:billId/payments', paymentRoutes);
+
+// Tax, tip, discount and fee adjustments allocated across a bill's participants
+router.use('/:billId/adjustments', adjustmentRoutes);
+
+// Revocable, expiring read-only links for people without an account
+router.use('/:billId/shares', shareRoutes);
+
+// Invitations that link a bill's participants to registered accounts
+router.use('/:billId/invites', participantInviteRoutes);
+
+// Product assignments learned from the owner's earlier bills
+router.use('/:billId/suggestions', assignmentSuggestionRoutes);
+
 // Get all bills for the authenticated user
 router.get('/', async (req, res) => {
   try {
+    // Bills the user owns plus bills they were linked to through an invite
     const bills = await prisma.bill.findMany({
-      where: { user_id: req.user.id },
+      where: viewableBy(req.user.id),
       orderBy: { created_at: 'desc' },
       include: {
         participants: true,
         products: true,
       },
     });
-    // Add participant_count and product_count for each bill
+    // Add role, participant_count and product_count for each bill
     const billsWithCounts = bills.map(bill => ({
-      ...bill,
+      ...withBillAmounts(bill),
+      ...getBillRole(bill, req.user.id),
+      products: bill.products.map(product => withProductAmounts(product, bill.currency)),
       participant_count: bill.participants.length,
       product_count: bill.products.length,
     }));
@@ -33,17 +66,18 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get bill by ID with all details (user-specific)
+// Get bill by ID with all details (owner or linked participant)
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    // Get bill details (ensure it belongs to the user)
+    // Get bill details (owned by the user or linked to them as a participant)
     const bill = await prisma.bill.findFirst({
-      where: { id, user_id: req.user.id },
+      where: { id, ...viewableBy(req.user.id) },
       include: {
         participants: true,
         products: {
           include: {
+            category: { select: { id: true, slug: true, name: true, color: true } },
             productParticipants: {
               include: {
                 participant: true,
@@ -51,6 +85,8 @@ router.get('/:id', async (req, res) => {
             },
           },
         },
+        payers: true,
+        adjustments: true,
       },
     });
     if (!bill) {
@@ -58,9 +94,10 @@ router.get('/:id', async (req, res) => {
     }
     // Format products to match old structure
     const processedProducts = bill.products.map(product => ({
-      ...product,
+      ...withProductAmounts(product, bill.currency),
       participant_ids: product.productParticipants.map(pp => pp.participant_id),
       share_percentages: product.productParticipants.map(pp => pp.share_percentage),
+      share_values: product.productParticipants.map(pp => pp.share_value),
       participants: product.productParticipants.map(pp => ({
         ...pp,
         name: pp.participant.name,
@@ -68,8 +105,16 @@ router.get('/:id', async (req, res) => {
       })),
     }));
     res.json({
-      ...bill,
+      ...withBillAmounts(bill),
+      ...getBillRole(bill, req.user.id),
+      // Signed and expiring, so participants can see the receipt too
+      image_download_url: await ReceiptStorageService.signFileUrl(bill.image_url),
       products: processedProducts,
+      payers: bill.payers.map(payer => ({
+        ...payer,
+        amount: Money.fromMinorUnits(payer.amount_minor, bill.currency),
+      })),
+      adjustments: bill.adjustments.map(adjustment => withAdjustmentValue(adjustment, bill.currency)),
     });
   } catch (error) {
     console.error('Error fetching bill:', error);
@@ -80,12 +125,58 @@ router.get('/:id', async (req, res) => {
 // Create new bill (user-specific)
 router.post('/', async (req, res) => {
   try {
-    const { title, total_amount, participants, description } = req.body;
+    const { title, total_amount, description, currency, group_id, template_id } = req.body;
+    
+    // A bill created in a group defaults to the group's members as participants
+    let group = null;
+    if (group_id) {
+      group = await prisma.group.findFirst({
+        where: { id: group_id, user_id: req.user.id },
+        include: { members: { orderBy: { created_at: 'asc' } } },
+      });
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+    }
+    // ...or a template's participants, and the bill is recorded as made from it
+    let template = null;
+    if (template_id) {
+      template = await prisma.billTemplate.findFirst({
+        where: { id: template_id, user_id: req.user.id },
+        include: { participants: { orderBy: { created_at: 'asc' } } },
+      });
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+    }
+    const participants = req.body.participants
+      || (group ? group.members.map(m => m.name) : undefined)
+      || (template ? template.participants.map(p => p.name) : undefined);
     
     if (!title || !participants || !Array.isArray(participants)) {
       return res.status(400).json({ error: 'Missing required fields: title and participants' });
     }
     
+    // Group bills must only include group members so balances carry across bills
+    const groupMatch = group
+      ? GroupService.matchParticipants(participants.map((name, index) => ({ id: index, name })), group.members)
+      : null;
+    if (groupMatch && groupMatch.unmatched.length > 0) {
+      return res.status(400).json({
+        error: 'Every participant must match a group member',
+        unmatched_participants: groupMatch.unmatched,
+      });
+    }
+    
+    // Bills default to the user's home currency
+    const billCurrency = currency ? String(currency).toUpperCase() : req.user.home_currency;
+    if (!CurrencyService.isValidCurrency(billCurrency)) {
+      return res.status(400).json({ error: 'Currency must be a three-letter code' });
+    }
+    if (total_amount !== undefined && total_amount !== null && (!Money.isValidAmount(total_amount, billCurrency) || total_amount < 0)) {
+      return res.status(400).json({ error: 'Total amount must be a non-negative number' });
+    }
+    
     // Check if user can create a new bill
     const canCreateBill = await PremiumService.canCreateBill(req.user.id);
     if (!canCreateBill) {
@@ -96,7 +187,7 @@ router.post('/', async (req, res) => {
     }
     
     // Calculate total amount if not provided
-    const calculatedTotal = total_amount || 0;
+    const calculatedTotal = Money.toMinorUnits(total_amount || 0, billCurrency);
     
     const billId = uuidv4();
     
@@ -106,8 +197,11 @@ router.post('/', async (req, res) => {
         id: billId,
         user_id: req.user.id,
         title,
-        total_amount: calculatedTotal,
+        total_amount_minor: calculatedTotal,
+        currency: billCurrency,
         description: description || null,
+        group_id: group ? group.id : null,
+        template_id: template ? template.id : null,
       },
     });
     
@@ -127,6 +221,7 @@ router.post('/', async (req, res) => {
           bill_id: billId,
           name: participants[i],
           color,
+          group_member_id: groupMatch ? groupMatch.links[i].member_id : null,
         },
       });
     }
@@ -141,17 +236,175 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Create a bill from a receipt in one step. Takes a receipt image or PDF (multipart
+// "image"; PDFs need premium) or the ocr_job_id of an earlier upload, and participant names or a
+// template_id. Parsed products are split equally between default_participants
+// (everyone by default) unless assignments say otherwise. The bill, participants,
+// products and suggested tax/discount adjustments are created in one transaction.
+// An uploaded receipt can have a `locale` hint, as for POST /api/upload/image.
+router.post('/from-receipt', receiptUpload.single('image'), receiptUpload.requirePdfFeature, receiptUpload.checkStorageQuota, async (req, res) => {
+  let job = null;
+  const rejectUpload = (status, body) => {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    return res.status(status).json(body);
+  };
+  
+  try {
+    const { ocr_job_id, template_id, title, description, currency } = req.body;
+    const fields = {};
+    for (const field of ['participants', 'default_participants', 'assignments']) {
+      const parsed = parseJsonField(req.body[field], field);
+      if (parsed.error) {
+        return rejectUpload(400, { error: parsed.error });
+      }
+      fields[field] = parsed.value;
+    }
+    
+    if (!req.file && !ocr_job_id) {
+      return rejectUpload(400, { error: 'Provide a receipt image or an ocr_job_id' });
+    }
+    
+    // Participants come from the template or the request
+    let participants;
+    if (template_id) {
+      const template = await prisma.billTemplate.findFirst({
+        where: { id: template_id, user_id: req.user.id },
+        include: { participants: { orderBy: { created_at: 'asc' } } },
+      });
+      if (!template) {
+        return rejectUpload(404, { error: 'Template not found' });
+      }
+      participants = template.participants.map(p => ({ name: p.name, color: p.color }));
+    } else if (Array.isArray(fields.participants)) {
+      participants = fields.participants.map(name => ({ name: String(name).trim() })).filter(p => p.name);
+    }
+    if (!participants || participants.length === 0) {
+      return rejectUpload(400, { error: 'Provide participants or a template_id' });
+    }
+    
+    const canCreateBill = await PremiumService.canCreateBill(req.user.id);
+    if (!canCreateBill) {
+      return rejectUpload(403, {
+        error: 'Monthly bill limit reached',
+        message: 'Upgrade to premium for unlimited bills'
+      });
+    }
+    
+    if (req.file) {
+      const { locale, error } = ocrService.resolveLocaleHint(req.body.locale);
+      if (error) {
+        return rejectUpload(400, { error });
+      }
+      job = await ocrService.createJob(req.file, req.user.id, undefined, locale);
+      try {
+        job = await ocrService.process(job.id);
+      } catch (error) {
+        // An unreadable receipt isn't kept (or counted towards storage)
+        const asset = await ReceiptStorageService.findAssetForFile(req.file.filename);
+        if (asset) {
+          await ReceiptStorageService.deleteAsset(asset);
+        }
+        return rejectUpload(422, { error: 'Could not read the receipt', message: error.message, ocr_job_id: job.id });
+      }
+    } else {
+      job = await prisma.ocrJob.findUnique({ where: { id: ocr_job_id } });
+      // Same visibility as GET /api/upload/jobs/:id
+      if (!job || (job.user_id && job.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'OCR job not found' });
+      }
+      if (job.status !== 'completed') {
+        return res.status(409).json({ error: 'OCR job has not completed', status: job.status });
+      }
+    }
+    
+    const parsedData = job.parsed_data;
+    if (!parsedData || parsedData.products.length === 0) {
+      return res.status(422).json({
+        error: 'No products were found on the receipt',
+        ocr_job_id: job.id,
+        reconciliation: job.reconciliation,
+      });
+    }
+    
+    const billCurrency = String(currency || parsedData.currency || req.user.home_currency).toUpperCase();
+    if (!CurrencyService.isValidCurrency(billCurrency)) {
+      return res.status(400).json({ error: 'Currency must be a three-letter code', ocr_job_id: job.id });
+    }
+    
+    const resolved = ReceiptBillService.resolveAssignments(parsedData.products, participants.map(p => p.name), {
+      defaultParticipants: fields.default_participants,
+      assignments: fields.assignments,
+    });
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error, ocr_job_id: job.id });
+    }
+    
+    const { bill, productCount, adjustmentCount } = await ReceiptBillService.createBill(req.user.id, {
+      job,
+      title: title || `Receipt ${new Date().toISOString().slice(0, 10)}`,
+      description,
+      currency: billCurrency,
+      participants,
+      templateId: template_id || null,
+      assignments: resolved.assignments,
+      includeAdjustments: req.body.include_adjustments !== false && req.body.include_adjustments !== 'false',
+    });
+    
+    // Increment bill count for the month
+    await PremiumService.incrementBillCount(req.user.id);
+    
+    res.status(201).json({
+      id: bill.id,
+      ocr_job_id: job.id,
+      image_url: bill.image_url,
+      products_created: productCount,
+      adjustments_created: adjustmentCount,
+      reconciliation: job.reconciliation,
+      message: 'Bill created from receipt successfully'
+    });
+  } catch (error) {
+    console.error('Error creating bill from receipt:', error);
+    // The OCR result is kept, so the client can retry with ocr_job_id
+    res.status(500).json({
+      error: 'Failed to create bill from receipt',
+      ocr_job_id: job ? job.id : undefined,
+    });
+  }
+});
+
 // Update bill (user-specific)
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, total_amount, description } = req.body;
+    const { title, total_amount, description, currency } = req.body;
+    
+    const existing = await prisma.bill.findFirst({
+      where: { id, user_id: req.user.id },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+    
+    const billCurrency = currency !== undefined ? String(currency).toUpperCase() : existing.currency;
+    if (!CurrencyService.isValidCurrency(billCurrency)) {
+      return res.status(400).json({ error: 'Currency must be a three-letter code' });
+    }
+    // Stored minor units would change meaning (e.g. cents vs. whole yen)
+    if (Money.getMinorUnitExponent(billCurrency) !== Money.getMinorUnitExponent(existing.currency)) {
+      return res.status(400).json({ error: 'Cannot switch to a currency with a different number of decimal places' });
+    }
+    if (total_amount !== undefined && total_amount !== null && (!Money.isValidAmount(total_amount, billCurrency) || total_amount < 0)) {
+      return res.status(400).json({ error: 'Total amount must be a non-negative number' });
+    }
     
     const result = await prisma.bill.update({
       where: { id, user_id: req.user.id },
       data: {
         title,
-        total_amount,
+        total_amount_minor: total_amount !== undefined ? Money.toMinorUnits(total_amount, billCurrency) : undefined,
+        currency: billCurrency,
         description,
         updated_at: new Date(),
       },
@@ -192,21 +445,40 @@ router.delete('/:id', async (req, res) => {
 router.post('/:id/products', async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, price, quantity = 1, participant_ids = [] } = req.body;
+    const { name, price, quantity = 1, participant_ids = [], split_mode = 'equal', splits, category_id } = req.body;
     
     if (!name || !price) {
       return res.status(400).json({ error: 'Product name and price are required' });
     }
     
+    // A category given here counts as a correction; otherwise it's worked out
+    const category = category_id ? await CategoryService.findCategory(req.user.id, category_id) : null;
+    if (category_id && !category) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+    
     // Verify bill belongs to user
     const bill = await prisma.bill.findFirst({
       where: { id, user_id: req.user.id },
+      include: { participants: true },
     });
     if (!bill) {
       return res.status(404).json({ error: 'Bill not found' });
     }
     
+    const priceMinor = Money.toMinorUnits(price, bill.currency);
+    if (Math.abs(priceMinor) > Money.MAX_MINOR_UNITS) {
+      return res.status(400).json({ error: `Price cannot exceed ${Money.formatAmount(Money.MAX_MINOR_UNITS, bill.currency)} ${bill.currency}` });
+    }
+    
+    // Resolve the split mode into per-participant share percentages
+    const split = resolveSplit(bill, split_mode, splits || toEqualSplits(participant_ids), priceMinor * quantity);
+    if (split.error) {
+      return res.status(400).json({ error: split.error });
+    }
+    
     const productId = uuidv4();
+    const productFields = await CategoryService.resolveProduct(req.user.id, name);
     
     // Create product
     await prisma.product.create({
@@ -214,20 +486,26 @@ router.post('/:id/products', async (req, res) => {
         id: productId,
         bill_id: id,
         name,
-        price,
+        price_minor: priceMinor,
         quantity,
+        split_mode,
+        ...productFields,
+        ...(category && { category_id: category.id, category_source: 'manual' }),
       },
     });
+    if (category) {
+      await CategoryService.learnCorrection(productFields, category.id);
+    }
     
     // Assign participants to product
-    for (const participantId of participant_ids) {
-      const sharePercentage = 100 / participant_ids.length;
+    for (const share of split.shares) {
       await prisma.productParticipant.create({
         data: {
           id: uuidv4(),
           product_id: productId,
-          participant_id: participantId,
-          share_percentage: sharePercentage,
+          participant_id: share.participant_id,
+          share_percentage: share.share_percentage,
+          share_value: share.share_value,
         },
       });
     }
@@ -246,42 +524,97 @@ router.post('/:id/products', async (req, res) => {
 router.put('/:billId/products/:productId', async (req, res) => {
   try {
     const { billId, productId } = req.params;
-    const { name, price, quantity, participant_ids } = req.body;
+    const { name, price, quantity, participant_ids, split_mode, splits, category_id } = req.body;
     
     // Verify bill belongs to user
     const bill = await prisma.bill.findFirst({
       where: { id: billId, user_id: req.user.id },
+      include: { participants: true },
     });
     if (!bill) {
       return res.status(404).json({ error: 'Bill not found' });
     }
     
+    const product = await prisma.product.findFirst({
+      where: { id: productId, bill_id: billId },
+      include: { productParticipants: { orderBy: { created_at: 'asc' } } },
+    });
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    
+    // category_id sets the category by hand (null clears it)
+    const category = category_id ? await CategoryService.findCategory(req.user.id, category_id) : null;
+    if (category_id && !category) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+    
+    const priceMinor = price !== undefined ? Money.toMinorUnits(price, bill.currency) : product.price_minor;
+    if (Math.abs(priceMinor) > Money.MAX_MINOR_UNITS) {
+      return res.status(400).json({ error: `Price cannot exceed ${Money.formatAmount(Money.MAX_MINOR_UNITS, bill.currency)} ${bill.currency}` });
+    }
+    const productTotal = priceMinor * (quantity ?? product.quantity);
+    const splitsChanged = participant_ids !== undefined || split_mode !== undefined || splits !== undefined;
+    let split = null;
+    
+    if (splitsChanged) {
+      // A bare participant_ids list keeps the legacy behaviour of an equal split
+      const mode = split_mode || (splits ? product.split_mode : 'equal');
+      if (!splits && mode !== 'equal' && SplitService.SPLIT_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Splits with values are required for ${mode} splits` });
+      }
+      // Changing only the mode keeps the participants already assigned
+      const ids = participant_ids || product.productParticipants.map(pp => pp.participant_id);
+      split = resolveSplit(bill, mode, splits || toEqualSplits(ids), productTotal);
+      if (split.error) {
+        return res.status(400).json({ error: split.error });
+      }
+      split.mode = mode;
+    } else if (product.split_mode === 'exact' && productTotal !== product.price_minor * product.quantity) {
+      return res.status(400).json({ error: 'Exact split amounts must be provided when the product total changes' });
+    }
+    
+    // A renamed product is matched against the catalogue again, and
+    // recategorised unless its category was set by hand
+    const renamed = name !== undefined && name !== product.name;
+    let productFields = renamed ? await CategoryService.resolveProduct(req.user.id, name) : {};
+    if (category_id !== undefined) {
+      productFields = { ...productFields, category_id: category ? category.id : null, category_source: 'manual' };
+    } else if (product.category_source === 'manual') {
+      productFields = { ...productFields, category_id: undefined, category_source: undefined };
+    }
+    
     // Update product
     await prisma.product.update({
       where: { id: productId, bill_id: billId },
       data: {
         name,
-        price,
+        ...productFields,
+        price_minor: price !== undefined ? priceMinor : undefined,
         quantity,
+        split_mode: split ? split.mode : undefined,
       },
     });
+    if (category) {
+      await CategoryService.learnCorrection({ ...product, ...productFields }, category.id);
+    }
     
     // Update participant assignments
-    if (participant_ids) {
+    if (split) {
       // Remove existing assignments
       await prisma.productParticipant.deleteMany({
         where: { product_id: productId },
       });
       
       // Add new assignments
-      for (const participantId of participant_ids) {
-        const sharePercentage = 100 / participant_ids.length;
+      for (const share of split.shares) {
         await prisma.productParticipant.create({
           data: {
             id: uuidv4(),
             product_id: productId,
-            participant_id: participantId,
-            share_percentage: sharePercentage,
+            participant_id: share.participant_id,
+            share_percentage: share.share_percentage,
+            share_value: share.share_value,
           },
         });
       }
@@ -322,14 +655,15 @@ router.delete('/:billId/products/:productId', async (req, res) => {
   }
 });
 
-// Get bill summary with individual totals (user-specific)
+// Get bill summary with individual totals (owner or linked participant)
 router.get('/:id/summary', async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Verify bill belongs to user
+    // Verify bill belongs to user or is linked to them
     const bill = await prisma.bill.findFirst({
-      where: { id, user_id: req.user.id },
+      where: { id, ...viewableBy(req.user.id) },
+      include: { payers: true, payments: true, adjustments: { orderBy: { created_at: 'asc' } } },
     });
     if (!bill) {
       return res.status(404).json({ error: 'Bill not found' });
@@ -348,54 +682,57 @@ router.get('/:id/summary', async (req, res) => {
       orderBy: { created_at: 'asc' },
     });
     
-    // Get bill total
-    const billData = await prisma.bill.findFirst({
-      where: { id },
-      select: { total_amount: true },
+    // Get products with every participant's share
+    const products = await prisma.product.findMany({
+      where: { bill_id: id },
+      include: { productParticipants: true },
+      orderBy: { created_at: 'asc' },
     });
-    
-    // Calculate totals for each participant
-    const participantTotals = {};
-    summary.forEach(participant => {
-      participantTotals[participant.id] = 0;
+    const productsById = {};
+    products.forEach(product => {
+      productsById[product.id] = product;
     });
     
-    summary.forEach(participant => {
-      participant.productParticipants.forEach(pp => {
-        const totalProductCost = pp.product.price * pp.product.quantity;
-        const totalSharePercentage = pp.product.productParticipants.reduce((sum, p) => sum + p.share_percentage, 0);
-        
-        participantTotals[participant.id] += (totalProductCost * pp.share_percentage) / totalSharePercentage;
-      });
-    });
+    // Calculate totals (items plus allocated adjustments) and outstanding balances
+    const billTotals = SplitService.getBillTotals(summary, products, bill.adjustments);
+    const { participantTotals } = billTotals;
+    const balances = SplitService.getBalancesById(summary, participantTotals, bill.payers, bill.payments);
     
     // Generate export data
     const exportData = {
       bill: {
         ...bill,
         created_at: new Date(bill.created_at).toLocaleDateString(),
-        total_amount: parseFloat(bill.total_amount).toFixed(2)
+        total_amount: Money.formatAmount(bill.total_amount_minor, bill.currency)
       },
       participants: summary.map(p => ({
         ...p,
-        total_owed: parseFloat(participantTotals[p.id] || 0).toFixed(2)
+        items_total: Money.formatAmount(billTotals.itemTotals[p.id], bill.currency),
+        adjustments_total: Money.formatAmount(billTotals.adjustmentTotals[p.id], bill.currency),
+        total_owed: Money.formatAmount(participantTotals[p.id], bill.currency),
+        ...formatBalance(balances[p.id], bill.currency)
       })),
       products: summary.flatMap(participant => 
-        participant.productParticipants.map(pp => ({
-          ...pp.product,
-          price: parseFloat(pp.product.price).toFixed(2),
-          total_cost: parseFloat(pp.product.price * pp.product.quantity).toFixed(2),
-          participants: pp.product.productParticipants.map(ppp => ({
-            ...ppp,
-            share_amount: parseFloat((pp.product.price * pp.product.quantity * ppp.share_percentage) / 
-              pp.product.productParticipants.reduce((sum, p) => sum + p.share_percentage, 0)).toFixed(2)
-          }))
-        }))
+        participant.productParticipants.map(pp => {
+          const product = productsById[pp.product_id];
+          const shares = SplitService.getProductShares(product);
+          return {
+            ...product,
+            price: Money.formatAmount(product.price_minor, bill.currency),
+            total_cost: Money.formatAmount(product.price_minor * product.quantity, bill.currency),
+            participants: product.productParticipants.map((ppp, index) => ({
+              ...ppp,
+              share_amount: Money.formatAmount(shares[index].amount, bill.currency)
+            }))
+          };
+        })
       ),
+      adjustments: formatAdjustments(billTotals.adjustments, bill.currency),
+      home_currency: await getHomeCurrencyTotals(bill, summary, participantTotals, req.query.currency || req.user.home_currency),
       summary: {
         total_items: summary.flatMap(p => p.productParticipants).length,
         total_participants: summary.length,
-        total_amount: parseFloat(bill.total_amount).toFixed(2),
+        total_amount: Money.formatAmount(bill.total_amount_minor, bill.currency),
         generated_at: new Date().toLocaleString()
       }
     };
@@ -412,11 +749,12 @@ router.get('/:id/export', async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Get bill details (ensure it belongs to the user)
+    // Get bill details (ensure it belongs to the user) with participants and
+    // products with their participant assignments
     const bill = await prisma.bill.findFirst({
       where: { id, user_id: req.user.id },
       include: {
-        participants: true,
+        participants: { orderBy: { created_at: 'asc' } },
         products: {
           include: {
             productParticipants: {
@@ -425,104 +763,71 @@ router.get('/:id/export', async (req, res) => {
               },
             },
           },
+          orderBy: { created_at: 'asc' },
         },
       },
     });
     if (!bill) {
       return res.status(404).json({ error: 'Bill not found' });
     }
+    const { participants, products } = bill;
     
-    // Get participants
-    const participants = await prisma.participant.findMany({
-      where: { bill_id: id },
-      orderBy: { created_at: 'asc' },
-    });
-    
-    // Get products with their participant assignments
-    const products = await prisma.product.findMany({
+    // Get bill payers, settle-up payments and adjustments
+    const payers = await prisma.billPayer.findMany({ where: { bill_id: id } });
+    const payments = await prisma.payment.findMany({ where: { bill_id: id } });
+    const adjustments = await prisma.billAdjustment.findMany({
       where: { bill_id: id },
-      include: {
-        productParticipants: {
-          include: {
-            participant: true,
-          },
-        },
-      },
       orderBy: { created_at: 'asc' },
     });
     
-    // Process products to include participant details
-    const processedProducts = products.map(product => ({
-      ...product,
-      participant_ids: product.productParticipants.map(pp => pp.participant_id),
-      share_percentages: product.productParticipants.map(pp => pp.share_percentage),
-      participants: product.productParticipants.map(pp => ({
-        ...pp,
-        name: pp.participant.name,
-        color: pp.participant.color,
-      })),
-    }));
-    
-    // Add participant details to each product
-    for (let product of processedProducts) {
-      if (product.participant_ids.length > 0) {
-        const productParticipants = await prisma.productParticipant.findMany({
-          where: { product_id: product.id },
-          include: {
-            participant: true,
-          },
-        });
-        product.participants = productParticipants.map(pp => ({
+    // Process products to include participant details and each one's share
+    const processedProducts = products.map(product => {
+      const shareAmounts = new Map(
+        SplitService.getProductShares(product).map(share => [share.participant_id, share.amount])
+      );
+      return {
+        ...product,
+        participant_ids: product.productParticipants.map(pp => pp.participant_id),
+        share_percentages: product.productParticipants.map(pp => pp.share_percentage),
+        share_values: product.productParticipants.map(pp => pp.share_value),
+        participants: product.productParticipants.map(pp => ({
           ...pp,
           name: pp.participant.name,
           color: pp.participant.color,
-        }));
-      }
-    }
-    
-    // Calculate totals for each participant
-    const participantTotals = {};
-    participants.forEach(participant => {
-      participantTotals[participant.id] = 0;
+          share_amount: Money.formatAmount(shareAmounts.get(pp.participant_id), bill.currency),
+        })),
+      };
     });
     
-    processedProducts.forEach(product => {
-      if (product.participants.length > 0) {
-        const totalProductCost = product.price * product.quantity;
-        const totalSharePercentage = product.participants.reduce((sum, p) => sum + p.share_percentage, 0);
-        
-        product.participants.forEach(participant => {
-          const shareAmount = (totalProductCost * participant.share_percentage) / totalSharePercentage;
-          participantTotals[participant.participant_id] += shareAmount;
-        });
-      }
-    });
+    // Calculate totals (items plus allocated adjustments) and outstanding balances
+    const billTotals = SplitService.getBillTotals(participants, products, adjustments);
+    const { participantTotals } = billTotals;
+    const balances = SplitService.getBalancesById(participants, participantTotals, payers, payments);
     
     // Generate export data
     const exportData = {
       bill: {
         ...bill,
         created_at: new Date(bill.created_at).toLocaleDateString(),
-        total_amount: parseFloat(bill.total_amount).toFixed(2)
+        total_amount: Money.formatAmount(bill.total_amount_minor, bill.currency)
       },
       participants: participants.map(p => ({
         ...p,
-        total_owed: parseFloat(participantTotals[p.id] || 0).toFixed(2)
+        items_total: Money.formatAmount(billTotals.itemTotals[p.id], bill.currency),
+        adjustments_total: Money.formatAmount(billTotals.adjustmentTotals[p.id], bill.currency),
+        total_owed: Money.formatAmount(participantTotals[p.id], bill.currency),
+        ...formatBalance(balances[p.id], bill.currency)
       })),
       products: processedProducts.map(p => ({
         ...p,
-        price: parseFloat(p.price).toFixed(2),
-        total_cost: parseFloat(p.price * p.quantity).toFixed(2),
-        participants: p.participants.map(pp => ({
-          ...pp,
-          share_amount: parseFloat((p.price * p.quantity * pp.share_percentage) / 
-            p.participants.reduce((sum, p) => sum + p.share_percentage, 0)).toFixed(2)
-        }))
+        price: Money.formatAmount(p.price_minor, bill.currency),
+        total_cost: Money.formatAmount(p.price_minor * p.quantity, bill.currency),
       })),
+      adjustments: formatAdjustments(billTotals.adjustments, bill.currency),
       summary: {
         total_items: processedProducts.length,
         total_participants: participants.length,
-        total_amount: parseFloat(bill.total_amount).toFixed(2),
+        total_amount: Money.formatAmount(bill.total_amount_minor, bill.currency),
         generated_at: new Date().toLocaleString()
       }
     };
@@ -534,4 +839,249 @@ router.get('/:id/export', async (req, res) => {
   }
 });
 
+// Set who paid for the bill and how much each payer fronted (user-specific)
+router.put('/:id/payers', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { payers } = req.body;
+    
+    if (!payers || !Array.isArray(payers)) {
+      return res.status(400).json({ error: 'Payers array is required' });
+    }
+    
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id, user_id: req.user.id },
+      include: { participants: true },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+    
+    const participantIds = new Set(bill.participants.map(p => p.id));
+    const seen = new Set();
+    for (const payer of payers) {
+      if (!payer.participant_id || !participantIds.has(payer.participant_id)) {
+        return res.status(400).json({ error: 'Each payer must be a participant of this bill' });
+      }
+      if (seen.has(payer.participant_id)) {
+        return res.status(400).json({ error: 'Each participant can only be listed once as a payer' });
+      }
+      if (!Money.isValidAmount(payer.amount, bill.currency) || !(payer.amount > 0)) {
+        return res.status(400).json({ error: 'Each payer amount must be a positive number' });
+      }
+      seen.add(payer.participant_id);
+    }
+    
+    // Replace existing payers
+    await prisma.billPayer.deleteMany({
+      where: { bill_id: id },
+    });
+    
+    for (const payer of payers) {
+      await prisma.billPayer.create({
+        data: {
+          id: uuidv4(),
+          bill_id: id,
+          participant_id: payer.participant_id,
+          amount_minor: Money.toMinorUnits(payer.amount, bill.currency),
+        },
+      });
+    }
+    
+    res.json({ message: 'Bill payers updated successfully' });
+  } catch (error) {
+    console.error('Error updating bill payers:', error);
+    res.status(500).json({ error: 'Failed to update bill payers' });
+  }
+});
+
+// Unlink a participant from the account that accepted their invite (owner only)
+router.delete('/:billId/participants/:participantId/link', async (req, res) => {
+  try {
+    const { billId, participantId } = req.params;
+    
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+    
+    const result = await prisma.participant.updateMany({
+      where: { id: participantId, bill_id: billId, user_id: { not: null } },
+      data: { user_id: null },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Linked participant not found' });
+    }
+    
+    res.json({ message: 'Participant unlinked successfully' });
+  } catch (error) {
+    console.error('Error unlinking participant:', error);
+    res.status(500).json({ error: 'Failed to unlink participant' });
+  }
+});
+
+// Get the minimal set of transfers that settles the bill (owner or linked participant)
+router.get('/:id/settlement', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const bill = await prisma.bill.findFirst({
+      where: { id, ...viewableBy(req.user.id) },
+      include: {
+        participants: { orderBy: { created_at: 'asc' } },
+        products: { include: { productParticipants: true } },
+        payers: true,
+        payments: true,
+        adjustments: true,
+      },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+    
+    // Recorded settle-up payments are already netted into each balance
+    const { participantTotals } = SplitService.getBillTotals(bill.participants, bill.products, bill.adjustments);
+    const balances = SplitService.getBalances(bill.participants, participantTotals, bill.payers, bill.payments);
+    const transfers = SplitService.getSettlementTransfers(balances);
+    
+    const totalOwed = Money.sum(balances.map(b => b.owed));
+    const totalPaid = Money.sum(bill.payers.map(p => p.amount_minor));
+    
+    res.json({
+      bill_id: bill.id,
+      currency: bill.currency,
+      total_owed: Money.formatAmount(totalOwed, bill.currency),
+      total_paid: Money.formatAmount(totalPaid, bill.currency),
+      // Non-zero when payers fronted more or less than the assigned product shares
+      unallocated_amount: Money.formatAmount(totalPaid - totalOwed, bill.currency),
+      balances: balances.map(b => ({
+        ...b,
+        paid: Money.formatAmount(b.paid, bill.currency),
+        received: Money.formatAmount(b.received, bill.currency),
+        owed: Money.formatAmount(b.owed, bill.currency),
+        balance: Money.formatAmount(b.balance, bill.currency),
+      })),
+      transfers: transfers.map(t => ({
+        ...t,
+        amount: Money.formatAmount(t.amount, bill.currency),
+      })),
+    });
+  } catch (error) {
+    console.error('Error calculating bill settlement:', error);
+    res.status(500).json({ error: 'Failed to calculate bill settlement' });
+  }
+});
+
+// Read-only access: bills the user owns or is linked to as a participant.
+// Anything that changes a bill still filters on user_id alone.
+function viewableBy(userId) {
+  return {
+    OR: [
+      { user_id: userId },
+      { participants: { some: { user_id: userId } } },
+    ],
+  };
+}
+
+// Whether the user owns the bill or sees it through a linked participant
+function getBillRole(bill, userId) {
+  const linked = bill.participants.find(p => p.user_id === userId);
+  return {
+    role: bill.user_id === userId ? 'owner' : 'participant',
+    linked_participant_id: linked ? linked.id : null,
+  };
+}
+
+// Multipart form fields arrive as JSON strings; JSON bodies are already parsed
+function parseJsonField(value, field) {
+  if (typeof value !== 'string') {
+    return { value };
+  }
+  try {
+    return { value: JSON.parse(value) };
+  } catch (error) {
+    return { error: `${field} must be valid JSON` };
+  }
+}
+
+// Participant ids given without values are split equally
+function toEqualSplits(participantIds) {
+  return participantIds.map(participantId => ({ participant_id: participantId }));
+}
+
+// Validate splits against the bill's participants and resolve share percentages
+function resolveSplit(bill, splitMode, splits, productTotalMinor) {
+  if (!Array.isArray(splits)) {
+    return { error: 'Splits must be an array' };
+  }
+  const participantIds = new Set(bill.participants.map(p => p.id));
+  if (splits.some(split => !participantIds.has(split.participant_id))) {
+    return { error: 'Each split must reference a participant of this bill' };
+  }
+  return SplitService.resolveProductSplit(splitMode, splits, productTotalMinor, bill.currency);
+}
+
+// Paid, received and remaining amounts for summary/export output. A negative
+// remaining amount means the participant is still owed money.
+function formatBalance(balance, currency) {
+  return {
+    total_paid: Money.formatAmount(balance.paid, currency),
+    total_received: Money.formatAmount(balance.received, currency),
+    remaining: Money.formatAmount(-balance.balance, currency),
+  };
+}
+
+// Bill and participant totals converted into the reporting currency at the rate on
+// the bill's date. Conversion errors are reported rather than failing the summary.
+async function getHomeCurrencyTotals(bill, participants, participantTotals, homeCurrency) {
+  const currency = String(homeCurrency).toUpperCase();
+  try {
+    const converter = await CurrencyService.createConverter(currency, [bill.currency]);
+    const rate = converter.getRate(bill.currency, bill.created_at);
+    return {
+      currency,
+      rate,
+      total_amount: Money.formatAmount(converter.convertMinor(bill.total_amount_minor, bill.currency, bill.created_at), currency),
+      participants: participants.map(p => ({
+        participant_id: p.id,
+        total_owed: Money.formatAmount(converter.convertMinor(participantTotals[p.id] || 0, bill.currency, bill.created_at), currency),
+      })),
+    };
+  } catch (error) {
+    if (error instanceof CurrencyService.MissingExchangeRateError) {
+      return { currency, error: error.message };
+    }
+    throw error;
+  }
+}
+
+// Resolved adjustment amounts and their per-participant allocations
+function formatAdjustments(adjustments, currency) {
+  return adjustments.map(adjustment => ({
+    ...withAdjustmentValue(adjustment, currency),
+    amount: Money.formatAmount(adjustment.amount, currency),
+    allocations: adjustment.allocations.map(allocation => ({
+      ...allocation,
+      amount: Money.formatAmount(allocation.amount, currency),
+    })),
+  }));
+}
+
+// Decimal amounts alongside the stored minor units, for API responses
+function withBillAmounts(bill) {
+  return { ...bill, total_amount: Money.fromMinorUnits(bill.total_amount_minor, bill.currency) };
+}
+
+function withProductAmounts(product, currency) {
+  return { ...product, price: Money.fromMinorUnits(product.price_minor, currency) };
+}
+
+function withAdjustmentValue(adjustment, currency) {
+  return { ...adjustment, value: SplitService.getAdjustmentValue(adjustment, currency) };
+}
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,231 @@
+const express = require('express');
+const prisma = require('../prismaClient');
+const { authenticateToken } = require('../middleware/auth');
+const BudgetService = require('../services/budgetService');
+const CategoryService = require('../services/categoryService');
+const CurrencyService = require('../services/currencyService');
+const Money = require('../utils/money');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const BUDGET_INCLUDE = {
+  category: { select: { id: true, name: true, color: true } },
+  group: { select: { id: true, name: true } },
+};
+
+function formatBudget(budget) {
+  return {
+    id: budget.id,
+    name: budget.name,
+    amount: Money.fromMinorUnits(budget.amount_minor, budget.currency),
+    currency: budget.currency,
+    category_id: budget.category_id,
+    category: budget.category,
+    group_id: budget.group_id,
+    group: budget.group,
+    thresholds: budget.thresholds,
+    created_at: budget.created_at,
+    updated_at: budget.updated_at,
+  };
+}
+
+// Spending can't be totalled across currencies without a stored rate
+function isMissingRate(res, error) {
+  if (error instanceof CurrencyService.MissingExchangeRateError) {
+    res.status(422).json({ error: 'Missing exchange rate', message: error.message });
+    return true;
+  }
+  return false;
+}
+
+// Validate budget fields for create (no `existing`) or update. Returns { data } or
+// { status, error }. The amount is read in the budget's (possibly new) currency.
+async function toBudgetData(body, userId, existing = null) {
+  const { name, amount, category_id, group_id } = body;
+  const data = {};
+
+  if (name !== undefined || !existing) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { status: 400, error: 'Budget name is required' };
+    }
+    data.name = name.trim();
+  }
+
+  if (!existing || body.currency !== undefined) {
+    data.currency = String(body.currency || '').toUpperCase();
+    if (!CurrencyService.isValidCurrency(data.currency)) {
+      return { status: 400, error: 'Currency must be a three-letter code' };
+    }
+  }
+
+  if (amount !== undefined || !existing) {
+    if (!Money.isValidAmount(amount, data.currency || existing.currency) || amount <= 0) {
+      return { status: 400, error: 'Amount must be a positive number' };
+    }
+    data.amount = amount;
+  } else if (data.currency) {
+    // Same amount, now in the new currency
+    data.amount = Money.fromMinorUnits(existing.amount_minor, existing.currency);
+  }
+
+  if (body.thresholds !== undefined) {
+    const { thresholds, error } = BudgetService.parseThresholds(body.thresholds);
+    if (error) {
+      return { status: 400, error };
+    }
+    data.thresholds = thresholds;
+  }
+
+  if (category_id !== undefined) {
+    if (category_id !== null && !(await CategoryService.findCategory(userId, category_id))) {
+      return { status: 404, error: 'Category not found' };
+    }
+    data.category_id = category_id;
+  }
+
+  if (group_id !== undefined) {
+    if (group_id !== null && !(await prisma.group.findFirst({ where: { id: group_id, user_id: userId } }))) {
+      return { status: 404, error: 'Group not found' };
+    }
+    data.group_id = group_id;
+  }
+
+  return { data };
+}
+
+function findBudget(id, userId) {
+  return prisma.budget.findFirst({ where: { id, user_id: userId }, include: BUDGET_INCLUDE });
+}
+
+// Get all budgets with this month's progress
+router.get('/', async (req, res) => {
+  try {
+    const budgets = await prisma.budget.findMany({
+      where: { user_id: req.user.id },
+      include: BUDGET_INCLUDE,
+      orderBy: { created_at: 'asc' },
+    });
+    const month = BudgetService.monthOf(new Date());
+    const getConverter = BudgetService.converterCache();
+    const result = [];
+    for (const budget of budgets) {
+      result.push({
+        ...formatBudget(budget),
+        progress: await BudgetService.getProgress(budget, month, await getConverter(budget.currency)),
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    if (isMissingRate(res, error)) return;
+    console.error('Error fetching budgets:', error);
+    res.status(500).json({ error: 'Failed to fetch budgets' });
+  }
+});
+
+// Get a budget
+router.get('/:id', async (req, res) => {
+  try {
+    const budget = await findBudget(req.params.id, req.user.id);
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+    res.json(formatBudget(budget));
+  } catch (error) {
+    console.error('Error fetching budget:', error);
+    res.status(500).json({ error: 'Failed to fetch budget' });
+  }
+});
+
+// Spending against a budget in a month (?month=YYYY-MM, default this month)
+router.get('/:id/progress', async (req, res) => {
+  try {
+    const month = req.query.month || BudgetService.monthOf(new Date());
+    if (!BudgetService.isValidMonth(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+    const budget = await findBudget(req.params.id, req.user.id);
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+    const converter = await CurrencyService.createConverter(budget.currency);
+    res.json({
+      budget: formatBudget(budget),
+      ...(await BudgetService.getProgress(budget, month, converter)),
+    });
+  } catch (error) {
+    if (isMissingRate(res, error)) return;
+    console.error('Error fetching budget progress:', error);
+    res.status(500).json({ error: 'Failed to fetch budget progress' });
+  }
+});
+
+// Create a monthly budget, optionally for one category and/or group
+router.post('/', async (req, res) => {
+  try {
+    const { data, status, error } = await toBudgetData(
+      { ...req.body, currency: req.body.currency || req.user.home_currency },
+      req.user.id
+    );
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const { amount, ...fields } = data;
+    const budget = await prisma.budget.create({
+      data: { ...fields, user_id: req.user.id, amount_minor: Money.toMinorUnits(amount, fields.currency) },
+      include: BUDGET_INCLUDE,
+    });
+    res.status(201).json({ budget: formatBudget(budget), message: 'Budget created successfully' });
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(500).json({ error: 'Failed to create budget' });
+  }
+});
+
+// Update a budget. Alerts already sent this month are re-evaluated on the next
+// check, so raising the amount lets them go out again if it's reached.
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await findBudget(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+    const { data, status, error } = await toBudgetData(req.body, req.user.id, existing);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const { amount, ...fields } = data;
+    const budget = await prisma.budget.update({
+      where: { id: existing.id },
+      data: {
+        ...fields,
+        amount_minor: amount !== undefined ? Money.toMinorUnits(amount, fields.currency || existing.currency) : undefined,
+      },
+      include: BUDGET_INCLUDE,
+    });
+    res.json({ budget: formatBudget(budget), message: 'Budget updated successfully' });
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+// Delete a budget and its alert history
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await prisma.budget.deleteMany({
+      where: { id: req.params.id, user_id: req.user.id },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+    res.json({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ error: 'Failed to delete budget' });
+  }
+});
+
+module.exports = router;
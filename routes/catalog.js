@@ -0,0 +1,318 @@
+const express = require('express');
+const prisma = require('../prismaClient');
+const { authenticateToken } = require('../middleware/auth');
+const ProductCatalogService = require('../services/productCatalogService');
+const CategoryService = require('../services/categoryService');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const ENTRY_INCLUDE = {
+  category: { select: { id: true, slug: true, name: true, color: true } },
+  aliases: { orderBy: { created_at: 'asc' } },
+  _count: { select: { products: true } },
+};
+
+function formatEntry(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    category_id: entry.category_id,
+    category: entry.category,
+    aliases: entry.aliases.map(alias => ({ id: alias.id, name: alias.name })),
+    product_count: entry._count.products,
+    created_at: entry.created_at,
+    updated_at: entry.updated_at,
+  };
+}
+
+function findEntry(id, userId) {
+  return prisma.catalogProduct.findFirst({ where: { id, user_id: userId }, include: ENTRY_INCLUDE });
+}
+
+// Optional category_id: one of the user's categories, or null to clear it
+async function parseCategory(userId, categoryId) {
+  if (categoryId === undefined || categoryId === null) return { categoryId };
+  const category = typeof categoryId === 'string' ? await CategoryService.findCategory(userId, categoryId) : null;
+  if (!category) {
+    return { error: 'Unknown category' };
+  }
+  return { categoryId: category.id };
+}
+
+// The user's catalogue. ?q= finds entries by name or alias, tolerating OCR errors.
+router.get('/', async (req, res) => {
+  try {
+    const entries = await prisma.catalogProduct.findMany({
+      where: { user_id: req.user.id },
+      include: ENTRY_INCLUDE,
+      orderBy: { name: 'asc' },
+    });
+    const key = req.query.q ? ProductCatalogService.matchKey(req.query.q) : null;
+    const matching = key
+      ? entries.filter(entry => entry.aliases.some(alias =>
+        alias.match_key.includes(key) || ProductCatalogService.findBestAlias(key, [alias])))
+      : entries;
+    res.json(matching.map(formatEntry));
+  } catch (error) {
+    console.error('Error fetching catalogue:', error);
+    res.status(500).json({ error: 'Failed to fetch catalogue' });
+  }
+});
+
+// Which entry a product name would be linked to (?name=), without linking it
+router.get('/match', async (req, res) => {
+  try {
+    if (!req.query.name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const match = await ProductCatalogService.findMatch(req.user.id, req.query.name);
+    res.json({ name: req.query.name, match_key: ProductCatalogService.matchKey(req.query.name), match });
+  } catch (error) {
+    console.error('Error matching catalogue product:', error);
+    res.status(500).json({ error: 'Failed to match product' });
+  }
+});
+
+// Link products created before the catalogue existed (or not linked for any
+// other reason), creating entries as needed
+router.post('/link-products', async (req, res) => {
+  try {
+    const linked = await ProductCatalogService.linkUnlinkedProducts(req.user.id);
+    res.json({ linked, message: `Linked ${linked} product(s)` });
+  } catch (error) {
+    console.error('Error linking products to catalogue:', error);
+    res.status(500).json({ error: 'Failed to link products' });
+  }
+});
+
+// Get a catalogue entry with its aliases
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await findEntry(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Catalogue product not found' });
+    }
+    res.json(formatEntry(entry));
+  } catch (error) {
+    console.error('Error fetching catalogue product:', error);
+    res.status(500).json({ error: 'Failed to fetch catalogue product' });
+  }
+});
+
+// Create an entry. Its name is its first alias; `aliases` adds more names.
+router.post('/', async (req, res) => {
+  try {
+    const { name, aliases = [] } = req.body;
+    if (!name || typeof name !== 'string' || !ProductCatalogService.matchKey(name)) {
+      return res.status(400).json({ error: 'Product name is required' });
+    }
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !ProductCatalogService.matchKey(alias))) {
+      return res.status(400).json({ error: 'Aliases must be an array of names' });
+    }
+    const { categoryId, error } = await parseCategory(req.user.id, req.body.category_id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Names that mean the same thing are one alias
+    const aliasesByKey = new Map();
+    for (const aliasName of [name, ...aliases]) {
+      const key = ProductCatalogService.matchKey(aliasName);
+      if (!aliasesByKey.has(key)) aliasesByKey.set(key, ProductCatalogService.cleanName(aliasName));
+    }
+    const taken = await prisma.catalogAlias.findMany({
+      where: { user_id: req.user.id, match_key: { in: [...aliasesByKey.keys()] } },
+      include: { catalog_product: true },
+    });
+    if (taken.length > 0) {
+      return res.status(409).json({
+        error: `"${taken[0].name}" is already an alias of "${taken[0].catalog_product.name}"`,
+        catalog_product_id: taken[0].catalog_product_id,
+      });
+    }
+
+    const entry = await prisma.catalogProduct.create({
+      data: {
+        user_id: req.user.id,
+        name: ProductCatalogService.cleanName(name),
+        category_id: categoryId,
+        aliases: {
+          create: [...aliasesByKey].map(([key, aliasName]) => ({ user_id: req.user.id, name: aliasName, match_key: key })),
+        },
+      },
+      include: ENTRY_INCLUDE,
+    });
+    res.status(201).json(formatEntry(entry));
+  } catch (error) {
+    console.error('Error creating catalogue product:', error);
+    res.status(500).json({ error: 'Failed to create catalogue product' });
+  }
+});
+
+// Rename an entry or change its category
+router.patch('/:id', async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Product name must be a non-empty string' });
+    }
+    const { categoryId, error } = await parseCategory(req.user.id, req.body.category_id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const entry = await findEntry(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Catalogue product not found' });
+    }
+    if (name !== undefined) {
+      await prisma.catalogProduct.update({ where: { id: entry.id }, data: { name: ProductCatalogService.cleanName(name) } });
+    }
+    // The entry's products take its new category, unless categorised by hand
+    if (categoryId !== undefined) {
+      await CategoryService.setEntryCategory(entry.id, categoryId);
+    }
+    res.json(formatEntry(await findEntry(entry.id, req.user.id)));
+  } catch (error) {
+    console.error('Error updating catalogue product:', error);
+    res.status(500).json({ error: 'Failed to update catalogue product' });
+  }
+});
+
+// Delete an entry and its aliases. Its products stay on their bills, unlinked.
+router.delete('/:id', async (req, res) => {
+  try {
+    const entry = await findEntry(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Catalogue product not found' });
+    }
+    await prisma.catalogProduct.delete({ where: { id: entry.id } });
+    res.json({ message: 'Catalogue product deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting catalogue product:', error);
+    res.status(500).json({ error: 'Failed to delete catalogue product' });
+  }
+});
+
+// Merge other entries (source_ids) into this one, with their aliases and products
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const { source_ids } = req.body;
+    if (!Array.isArray(source_ids) || source_ids.length === 0) {
+      return res.status(400).json({ error: 'source_ids must be a non-empty array' });
+    }
+    if (source_ids.includes(req.params.id)) {
+      return res.status(400).json({ error: 'An entry cannot be merged into itself' });
+    }
+    const entry = await findEntry(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Catalogue product not found' });
+    }
+    const sources = await prisma.catalogProduct.findMany({ where: { id: { in: source_ids }, user_id: req.user.id } });
+    if (sources.length !== new Set(source_ids).size) {
+      return res.status(404).json({ error: 'Catalogue product not found' });
+    }
+    await ProductCatalogService.mergeEntries(entry, sources);
+    res.json(formatEntry(await findEntry(entry.id, req.user.id)));
+  } catch (error) {
+    console.error('Error merging catalogue products:', error);
+    res.status(500).json({ error: 'Failed to merge catalogue products' });
+  }
+});
+
+// Add a name to an entry. A name that is already another entry's alias moves
+// here, along with the products printed that way.
+router.post('/:id/aliases', async (req, res) => {
+  try {
+    const { name } = req.body;
+    const key = typeof name === 'string' ? ProductCatalogService.matchKey(name) : '';
+    if (!key) {
+      return res.status(400).json({ error: 'Alias name is required' });
+    }
+    const entry = await findEntry(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Catalogue product not found' });
+    }
+    const existing = await prisma.catalogAlias.findUnique({
+      where: { user_id_match_key: { user_id: req.user.id, match_key: key } },
+      include: { catalog_product: { include: { _count: { select: { aliases: true } } } } },
+    });
+    if (existing && existing.catalog_product_id !== entry.id) {
+      await ProductCatalogService.moveAlias(existing, { targetId: entry.id });
+      // An entry left without aliases has nothing left to match
+      if (existing.catalog_product._count.aliases === 1) {
+        await ProductCatalogService.mergeEntries(entry, [existing.catalog_product]);
+      }
+    } else if (!existing) {
+      await ProductCatalogService.addAlias(req.user.id, entry.id, name, key);
+    }
+    res.status(201).json(formatEntry(await findEntry(entry.id, req.user.id)));
+  } catch (error) {
+    console.error('Error adding catalogue alias:', error);
+    res.status(500).json({ error: 'Failed to add alias' });
+  }
+});
+
+// Split an alias off its entry, with the products printed that way: into another
+// entry (catalog_product_id) or a new one (named `name`, default the alias)
+router.post('/aliases/:aliasId/split', async (req, res) => {
+  try {
+    const { catalog_product_id, name } = req.body;
+    const alias = await prisma.catalogAlias.findFirst({
+      where: { id: req.params.aliasId, user_id: req.user.id },
+      include: { catalog_product: { include: { _count: { select: { aliases: true } } } } },
+    });
+    if (!alias) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    if (catalog_product_id) {
+      const target = await prisma.catalogProduct.findFirst({ where: { id: catalog_product_id, user_id: req.user.id } });
+      if (!target) {
+        return res.status(404).json({ error: 'Catalogue product not found' });
+      }
+      if (target.id === alias.catalog_product_id) {
+        return res.status(400).json({ error: 'The alias already belongs to that entry' });
+      }
+    } else if (alias.catalog_product._count.aliases === 1) {
+      return res.status(400).json({ error: 'This is the only alias of its entry; rename the entry instead' });
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Product name must be a non-empty string' });
+    }
+
+    const entryId = await ProductCatalogService.moveAlias(alias, { targetId: catalog_product_id, name });
+    if (catalog_product_id && alias.catalog_product._count.aliases === 1) {
+      await prisma.catalogProduct.delete({ where: { id: alias.catalog_product_id } });
+    }
+    res.json(formatEntry(await findEntry(entryId, req.user.id)));
+  } catch (error) {
+    console.error('Error splitting catalogue alias:', error);
+    res.status(500).json({ error: 'Failed to split alias' });
+  }
+});
+
+// Remove an alias. Products already linked stay linked; new products printed
+// that way are matched afresh.
+router.delete('/aliases/:aliasId', async (req, res) => {
+  try {
+    const alias = await prisma.catalogAlias.findFirst({
+      where: { id: req.params.aliasId, user_id: req.user.id },
+      include: { catalog_product: { include: { _count: { select: { aliases: true } } } } },
+    });
+    if (!alias) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    if (alias.catalog_product._count.aliases === 1) {
+      return res.status(400).json({ error: 'This is the only alias of its entry; delete the entry instead' });
+    }
+    await prisma.catalogAlias.delete({ where: { id: alias.id } });
+    res.json({ message: 'Alias deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting catalogue alias:', error);
+    res.status(500).json({ error: 'Failed to delete alias' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const prisma = require('../prismaClient');
+const { authenticateToken } = require('../middleware/auth');
+const CategoryService = require('../services/categoryService');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+function formatCategory(category) {
+  return {
+    id: category.id,
+    slug: category.slug,
+    name: category.name,
+    color: category.color,
+    keywords: category.keywords,
+    built_in: category.user_id === null,
+  };
+}
+
+// Optional keywords: an array of words or phrases, stored trimmed and lower case
+function parseKeywords(keywords) {
+  if (keywords === undefined) return { keywords };
+  if (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+    return { error: 'Keywords must be an array of non-empty strings' };
+  }
+  return { keywords: [...new Set(keywords.map(keyword => keyword.trim().toLowerCase()))] };
+}
+
+// A category with this slug the user can already see (built-in or their own)
+function findSlugClash(userId, slug, exceptId) {
+  return prisma.category.findFirst({
+    where: { slug, id: exceptId ? { not: exceptId } : undefined, ...CategoryService.visibleTo(userId) },
+  });
+}
+
+// The user's own category, or null. Built-in categories can't be changed.
+async function findOwnCategory(req, res) {
+  const category = await CategoryService.findCategory(req.user.id, req.params.id);
+  if (!category) {
+    res.status(404).json({ error: 'Category not found' });
+    return null;
+  }
+  if (category.user_id === null) {
+    res.status(403).json({ error: 'Built-in categories cannot be changed' });
+    return null;
+  }
+  return category;
+}
+
+// Built-in categories followed by the user's own
+router.get('/', async (req, res) => {
+  try {
+    const categories = await CategoryService.listCategories(req.user.id);
+    res.json(categories.map(formatCategory));
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+// Create a category. Its keywords categorise new products whose names contain them.
+router.post('/', async (req, res) => {
+  try {
+    const { name, color } = req.body;
+    const slug = typeof name === 'string' ? CategoryService.slugify(name) : '';
+    if (!slug) {
+      return res.status(400).json({ error: 'Category name is required' });
+    }
+    const { keywords = [], error } = parseKeywords(req.body.keywords);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (await findSlugClash(req.user.id, slug)) {
+      return res.status(409).json({ error: 'A category with this name already exists' });
+    }
+    const category = await prisma.category.create({
+      data: { user_id: req.user.id, slug, name: name.trim(), color: color || null, keywords },
+    });
+    res.status(201).json(formatCategory(category));
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+// Categorise the user's uncategorised products with their catalogue entries'
+// categories and the keyword rules (e.g. after adding keywords)
+router.post('/categorise', async (req, res) => {
+  try {
+    const categorised = await CategoryService.categoriseProducts(req.user.id);
+    res.json({ categorised, message: `Categorised ${categorised} product(s)` });
+  } catch (error) {
+    console.error('Error categorising products:', error);
+    res.status(500).json({ error: 'Failed to categorise products' });
+  }
+});
+
+// Rename a category or change its color or keywords
+router.patch('/:id', async (req, res) => {
+  try {
+    const { name, color } = req.body;
+    const slug = name !== undefined && typeof name === 'string' ? CategoryService.slugify(name) : null;
+    if (name !== undefined && !slug) {
+      return res.status(400).json({ error: 'Category name must be a non-empty string' });
+    }
+    const { keywords, error } = parseKeywords(req.body.keywords);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const category = await findOwnCategory(req, res);
+    if (!category) return;
+    if (slug && await findSlugClash(req.user.id, slug, category.id)) {
+      return res.status(409).json({ error: 'A category with this name already exists' });
+    }
+    const updated = await prisma.category.update({
+      where: { id: category.id },
+      data: {
+        slug: slug || undefined,
+        name: slug ? name.trim() : undefined,
+        color,
+        keywords,
+      },
+    });
+    res.json(formatCategory(updated));
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// Delete a category. Its products and catalogue entries become uncategorised,
+// so the next categorise run can place them again. Budgets for the category
+// have to be deleted or changed first.
+router.delete('/:id', async (req, res) => {
+  try {
+    const category = await findOwnCategory(req, res);
+    if (!category) return;
+    const budgets = await prisma.budget.findMany({
+      where: { category_id: category.id },
+      select: { id: true, name: true },
+    });
+    if (budgets.length > 0) {
+      return res.status(409).json({ error: 'Category is used by budgets', budgets });
+    }
+    await prisma.$transaction([
+      prisma.product.updateMany({ where: { category_id: category.id }, data: { category_id: null, category_source: null } }),
+      prisma.category.delete({ where: { id: category.id } }),
+    ]);
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const prisma = require('../prismaClient');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const CurrencyService = require('../services/currencyService');
+
+const router = express.Router();
+
+// All endpoints require authentication
+router.use(authenticateToken);
+
+// List stored exchange rates, optionally filtered by currency pair
+router.get('/', async (req, res) => {
+  try {
+    const { base, quote } = req.query;
+    const rates = await prisma.exchangeRate.findMany({
+      where: {
+        ...(base && { base_currency: String(base).toUpperCase() }),
+        ...(quote && { quote_currency: String(quote).toUpperCase() }),
+      },
+      orderBy: [{ base_currency: 'asc' }, { quote_currency: 'asc' }, { effective_date: 'desc' }],
+    });
+    res.json({ rates });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({ error: 'Failed to fetch exchange rates' });
+  }
+});
+
+// Import exchange rates (admin only). Existing rates for the same pair and date are replaced.
+router.post('/import', requireAdmin, async (req, res) => {
+  try {
+    const { rates, source } = req.body;
+    if (!rates || !Array.isArray(rates) || rates.length === 0) {
+      return res.status(400).json({ error: 'Rates array is required' });
+    }
+
+    const normalizedRates = [];
+    for (const rate of rates) {
+      const baseCurrency = String(rate.base_currency || '').toUpperCase();
+      const quoteCurrency = String(rate.quote_currency || '').toUpperCase();
+      if (!CurrencyService.isValidCurrency(baseCurrency) || !CurrencyService.isValidCurrency(quoteCurrency)) {
+        return res.status(400).json({ error: 'Each rate needs three-letter base_currency and quote_currency codes' });
+      }
+      if (typeof rate.rate !== 'number' || !(rate.rate > 0)) {
+        return res.status(400).json({ error: 'Each rate must be a positive number' });
+      }
+      if (!rate.effective_date || isNaN(new Date(rate.effective_date).getTime())) {
+        return res.status(400).json({ error: 'Each rate needs a valid effective_date' });
+      }
+      normalizedRates.push({ ...rate, base_currency: baseCurrency, quote_currency: quoteCurrency });
+    }
+
+    const imported = await CurrencyService.importRates(normalizedRates, source || null);
+    res.status(201).json({
+      imported,
+      message: 'Exchange rates imported successfully'
+    });
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    res.status(500).json({ error: 'Failed to import exchange rates' });
+  }
+});
+
+// Delete an exchange rate (admin only)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await prisma.exchangeRate.deleteMany({ where: { id: req.params.id } });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({ error: 'Failed to delete exchange rate' });
+  }
+});
+
+module.exports = router;
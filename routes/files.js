@@ -0,0 +1,28 @@
+const express = require('express');
+const storage = require('../services/storage');
+
+const router = express.Router();
+
+// Signed download URLs of the local storage driver; the S3 driver signs URLs
+// against the bucket instead. No authentication: the signature is the access check.
+router.get('/:key', (req, res) => {
+  const { key } = req.params;
+  const { expires, signature } = req.query;
+  if (storage.name !== 'local' || !storage.verifySignedUrl(key, expires, signature)) {
+    return res.status(403).json({ error: 'Invalid or expired link' });
+  }
+  let filePath;
+  try {
+    filePath = storage.getPath(key);
+  } catch (error) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  // Signed URLs are short-lived, so caching is capped to match
+  res.sendFile(filePath, { maxAge: Math.max(0, Number(expires) * 1000 - Date.now()) }, error => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'File not found' });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,380 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../prismaClient');
+const { authenticateToken } = require('../middleware/auth');
+const Money = require('../utils/money');
+const SplitService = require('../services/splitService');
+const CurrencyService = require('../services/currencyService');
+const GroupService = require('../services/groupService');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const MEMBER_COLORS = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8', '#F7DC6F'];
+
+// Members may be given as names or as { name, color }
+function toMemberData(member, index) {
+  const name = typeof member === 'string' ? member : member && member.name;
+  if (!name || !String(name).trim()) return null;
+  return {
+    name: String(name).trim(),
+    color: (member && member.color) || MEMBER_COLORS[index % MEMBER_COLORS.length],
+  };
+}
+
+// Get all groups for the authenticated user
+router.get('/', async (req, res) => {
+  try {
+    const groups = await prisma.group.findMany({
+      where: { user_id: req.user.id },
+      orderBy: { updated_at: 'desc' },
+      include: {
+        members: { orderBy: { created_at: 'asc' } },
+        _count: { select: { bills: true } },
+      },
+    });
+    res.json(groups.map(({ _count, ...group }) => ({
+      ...group,
+      member_count: group.members.length,
+      bill_count: _count.bills,
+    })));
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    res.status(500).json({ error: 'Failed to fetch groups' });
+  }
+});
+
+// Get a group with its members and bills
+router.get('/:id', async (req, res) => {
+  try {
+    const group = await prisma.group.findFirst({
+      where: { id: req.params.id, user_id: req.user.id },
+      include: {
+        members: { orderBy: { created_at: 'asc' } },
+        bills: { orderBy: { created_at: 'desc' } },
+      },
+    });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    res.json({
+      ...group,
+      bills: group.bills.map(bill => ({
+        ...bill,
+        total_amount: Money.fromMinorUnits(bill.total_amount_minor, bill.currency),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching group:', error);
+    res.status(500).json({ error: 'Failed to fetch group' });
+  }
+});
+
+// Create a group with its initial members
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, currency, members = [] } = req.body;
+    if (!name || !Array.isArray(members)) {
+      return res.status(400).json({ error: 'Name and a members array are required' });
+    }
+    const memberData = members.map(toMemberData);
+    if (memberData.some(member => !member)) {
+      return res.status(400).json({ error: 'Each member needs a name' });
+    }
+
+    // Group balances default to the user's home currency
+    const groupCurrency = currency ? String(currency).toUpperCase() : req.user.home_currency;
+    if (!CurrencyService.isValidCurrency(groupCurrency)) {
+      return res.status(400).json({ error: 'Currency must be a three-letter code' });
+    }
+
+    const groupId = uuidv4();
+    await prisma.group.create({
+      data: {
+        id: groupId,
+        user_id: req.user.id,
+        name,
+        description: description || null,
+        currency: groupCurrency,
+        members: { create: memberData },
+      },
+    });
+
+    const group = await prisma.group.findFirst({
+      where: { id: groupId },
+      include: { members: { orderBy: { created_at: 'asc' } } },
+    });
+    res.status(201).json({ group, message: 'Group created successfully' });
+  } catch (error) {
+    console.error('Error creating group:', error);
+    res.status(500).json({ error: 'Failed to create group' });
+  }
+});
+
+// Update a group's name, description or reporting currency
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, description, currency } = req.body;
+
+    const existing = await prisma.group.findFirst({
+      where: { id: req.params.id, user_id: req.user.id },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const groupCurrency = currency !== undefined ? String(currency).toUpperCase() : existing.currency;
+    if (!CurrencyService.isValidCurrency(groupCurrency)) {
+      return res.status(400).json({ error: 'Currency must be a three-letter code' });
+    }
+
+    await prisma.group.update({
+      where: { id: existing.id },
+      data: { name, description, currency: groupCurrency },
+    });
+    res.json({ message: 'Group updated successfully' });
+  } catch (error) {
+    console.error('Error updating group:', error);
+    res.status(500).json({ error: 'Failed to update group' });
+  }
+});
+
+// Delete a group; its bills are kept but no longer belong to a group
+router.delete('/:id', async (req, res) => {
+  try {
+    // Budgets for the group have to be deleted or changed first
+    const budgets = await prisma.budget.findMany({
+      where: { group_id: req.params.id, user_id: req.user.id },
+      select: { id: true, name: true },
+    });
+    if (budgets.length > 0) {
+      return res.status(409).json({ error: 'Group is used by budgets', budgets });
+    }
+    const result = await prisma.group.deleteMany({
+      where: { id: req.params.id, user_id: req.user.id },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    res.json({ message: 'Group deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting group:', error);
+    res.status(500).json({ error: 'Failed to delete group' });
+  }
+});
+
+// Add a member to a group
+router.post('/:id/members', async (req, res) => {
+  try {
+    const group = await prisma.group.findFirst({
+      where: { id: req.params.id, user_id: req.user.id },
+      include: { members: true },
+    });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const memberData = toMemberData(req.body, group.members.length);
+    if (!memberData) {
+      return res.status(400).json({ error: 'Member name is required' });
+    }
+
+    const member = await prisma.groupMember.create({
+      data: { group_id: group.id, ...memberData },
+    });
+    res.status(201).json({ member, message: 'Member added successfully' });
+  } catch (error) {
+    console.error('Error adding group member:', error);
+    res.status(500).json({ error: 'Failed to add group member' });
+  }
+});
+
+// Rename or recolour a member
+router.put('/:id/members/:memberId', async (req, res) => {
+  try {
+    const { id, memberId } = req.params;
+    const { name, color } = req.body;
+
+    const group = await prisma.group.findFirst({
+      where: { id, user_id: req.user.id },
+    });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Member name cannot be empty' });
+    }
+
+    const result = await prisma.groupMember.updateMany({
+      where: { id: memberId, group_id: id },
+      data: { name: name !== undefined ? String(name).trim() : undefined, color },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    res.json({ message: 'Member updated successfully' });
+  } catch (error) {
+    console.error('Error updating group member:', error);
+    res.status(500).json({ error: 'Failed to update group member' });
+  }
+});
+
+// Remove a member who isn't on any of the group's bills
+router.delete('/:id/members/:memberId', async (req, res) => {
+  try {
+    const { id, memberId } = req.params;
+
+    const group = await prisma.group.findFirst({
+      where: { id, user_id: req.user.id },
+    });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    // Removing someone with bills would silently drop them from the balances
+    const linkedParticipants = await prisma.participant.count({
+      where: { group_member_id: memberId, bill: { group_id: id } },
+    });
+    if (linkedParticipants > 0) {
+      return res.status(409).json({ error: 'Member is on bills in this group; detach those bills first' });
+    }
+
+    const result = await prisma.groupMember.deleteMany({
+      where: { id: memberId, group_id: id },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Error removing group member:', error);
+    res.status(500).json({ error: 'Failed to remove group member' });
+  }
+});
+
+// Attach an existing bill to a group. Participants are matched to members by name
+// unless member_links ([{ participant_id, member_id }]) says otherwise.
+router.post('/:id/bills', async (req, res) => {
+  try {
+    const { bill_id, member_links = [] } = req.body;
+    if (!bill_id || !Array.isArray(member_links)) {
+      return res.status(400).json({ error: 'Bill id is required' });
+    }
+
+    const group = await prisma.group.findFirst({
+      where: { id: req.params.id, user_id: req.user.id },
+      include: { members: true },
+    });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    const bill = await prisma.bill.findFirst({
+      where: { id: bill_id, user_id: req.user.id },
+      include: { participants: true },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+    if (bill.group_id && bill.group_id !== group.id) {
+      return res.status(409).json({ error: 'Bill already belongs to another group' });
+    }
+
+    // Every participant must map to a member or the group balances wouldn't add up
+    const { links, unmatched } = GroupService.matchParticipants(bill.participants, group.members, member_links);
+    if (unmatched.length > 0) {
+      return res.status(400).json({
+        error: 'Every participant must match a group member',
+        unmatched_participants: unmatched,
+      });
+    }
+
+    await GroupService.attachBill(bill.id, group.id, links);
+    res.json({ message: 'Bill added to group successfully', links });
+  } catch (error) {
+    console.error('Error adding bill to group:', error);
+    res.status(500).json({ error: 'Failed to add bill to group' });
+  }
+});
+
+// Detach a bill from a group
+router.delete('/:id/bills/:billId', async (req, res) => {
+  try {
+    const { id, billId } = req.params;
+
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, group_id: id, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found in this group' });
+    }
+
+    await GroupService.detachBill(bill.id);
+    res.json({ message: 'Bill removed from group successfully' });
+  } catch (error) {
+    console.error('Error removing bill from group:', error);
+    res.status(500).json({ error: 'Failed to remove bill from group' });
+  }
+});
+
+// Running balances: every bill's shares, payers and settle-up payments combined
+// into one net position per member, plus the transfers that would settle them
+router.get('/:id/balances', async (req, res) => {
+  try {
+    const group = await prisma.group.findFirst({
+      where: { id: req.params.id, user_id: req.user.id },
+      include: {
+        members: { orderBy: { created_at: 'asc' } },
+        bills: {
+          include: {
+            participants: true,
+            products: { include: { productParticipants: true } },
+            payers: true,
+            payments: true,
+            adjustments: true,
+          },
+        },
+      },
+    });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const converter = await CurrencyService.createConverter(
+      group.currency,
+      [...new Set(group.bills.map(bill => bill.currency))]
+    );
+    const balances = GroupService.getGroupBalances(group.members, group.bills, converter);
+    const transfers = SplitService.getSettlementTransfers(
+      balances.map(b => ({ participant_id: b.member_id, name: b.name, balance: b.balance }))
+    );
+
+    res.json({
+      currency: group.currency,
+      bill_count: group.bills.length,
+      balances: balances.map(b => ({
+        ...b,
+        paid: Money.formatAmount(b.paid, group.currency),
+        received: Money.formatAmount(b.received, group.currency),
+        owed: Money.formatAmount(b.owed, group.currency),
+        balance: Money.formatAmount(b.balance, group.currency),
+      })),
+      transfers: transfers.map(t => ({
+        from_member_id: t.from_participant_id,
+        from_name: t.from_name,
+        to_member_id: t.to_participant_id,
+        to_name: t.to_name,
+        amount: Money.formatAmount(t.amount, group.currency),
+      })),
+    });
+  } catch (error) {
+    if (error instanceof CurrencyService.MissingExchangeRateError) {
+      return res.status(422).json({ error: 'Missing exchange rate', message: error.message });
+    }
+    console.error('Error calculating group balances:', error);
+    res.status(500).json({ error: 'Failed to calculate group balances' });
+  }
+});
+
+module.exports = router;
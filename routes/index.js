@@ -6,6 +6,16 @@ const templateRoutes = require('./templates');
 const { router: premiumRoutes, webhookRouter } = require('./premium');
 const analyticsRoutes = require('./analytics');
 const notificationRoutes = require('./notifications');
+const exchangeRateRoutes = require('./exchangeRates');
+const sharedRoutes = require('./shared');
+const inviteRoutes = require('./invites');
+const groupRoutes = require('./groups');
+const recurringBillRoutes = require('./recurringBills');
+const receiptRoutes = require('./receipts');
+const fileRoutes = require('./files');
+const catalogRoutes = require('./catalog');
+const categoryRoutes = require('./categories');
+const budgetRoutes = require('./budgets');
 
 const router = express.Router();
 
@@ -17,6 +27,16 @@ router.use('/templates', templateRoutes);
 router.use('/premium', premiumRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/notifications', notificationRoutes);
+router.use('/exchange-rates', exchangeRateRoutes);
+router.use('/shared', sharedRoutes);
+router.use('/invites', inviteRoutes);
+router.use('/groups', groupRoutes);
+router.use('/recurring-bills', recurringBillRoutes);
+router.use('/receipts', receiptRoutes);
+router.use('/files', fileRoutes);
+router.use('/catalog', catalogRoutes);
+router.use('/categories', categoryRoutes);
+router.use('/budgets', budgetRoutes);
 
 // Export both the main router and the webhook router (for Stripe)
 module.exports = { router, webhookRouter }; 
\ No newline at end of file
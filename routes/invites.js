@@ -0,0 +1,48 @@
+const express = require('express');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const InviteService = require('../services/inviteService');
+
+const router = express.Router();
+
+// Preview an invite before signing in or registering
+router.get('/:token', optionalAuth, async (req, res) => {
+  try {
+    const invite = await InviteService.findPendingInvite(req.params.token);
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found or expired' });
+    }
+
+    const { participant } = invite;
+    res.json({
+      bill_title: participant.bill.title,
+      participant_name: participant.name,
+      invited_by: participant.bill.user.name,
+      email: invite.email,
+      expires_at: invite.expires_at,
+      already_linked: Boolean(req.user && participant.user_id === req.user.id),
+    });
+  } catch (error) {
+    console.error('Error fetching invite:', error);
+    res.status(500).json({ error: 'Failed to fetch invite' });
+  }
+});
+
+// Accept an invite, linking the participant to the signed-in account
+router.post('/:token/accept', authenticateToken, async (req, res) => {
+  try {
+    const { billId, participantId } = await InviteService.acceptInvite(req.params.token, req.user);
+    res.json({
+      bill_id: billId,
+      participant_id: participantId,
+      message: 'Invite accepted successfully'
+    });
+  } catch (error) {
+    if (error instanceof InviteService.InviteError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error accepting invite:', error);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+module.exports = router;
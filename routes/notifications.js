@@ -33,7 +33,8 @@ router.get('/preferences', authenticateToken, async (req, res) => {
           billShared: preferences.billShared !== false,
           paymentReminder: preferences.paymentReminder !== false,
           usageAlert: preferences.usageAlert !== false,
-          subscriptionUpgraded: preferences.subscriptionUpgraded !== false
+          subscriptionUpgraded: preferences.subscriptionUpgraded !== false,
+          budgetAlert: preferences.budgetAlert !== false
         }
       }
     });
@@ -0,0 +1,149 @@
+const express = require('express');
+const prisma = require('../prismaClient');
+const Money = require('../utils/money');
+const SplitService = require('../services/splitService');
+const InviteService = require('../services/inviteService');
+const notificationService = require('../services/notificationService');
+
+// Mounted by the bills router under /:billId/invites, which already authenticates
+const router = express.Router({ mergeParams: true });
+
+function getInviteStatus(invite) {
+  if (invite.accepted_at) return 'accepted';
+  if (invite.revoked_at) return 'revoked';
+  if (invite.expires_at <= new Date()) return 'expired';
+  return 'pending';
+}
+
+// Get all participant invites for a bill
+router.get('/', async (req, res) => {
+  try {
+    const { billId } = req.params;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const invites = await prisma.participantInvite.findMany({
+      where: { participant: { bill_id: billId } },
+      include: { participant: true },
+      orderBy: { created_at: 'desc' },
+    });
+
+    res.json(invites.map(({ token_hash, participant, ...invite }) => ({
+      ...invite,
+      participant_name: participant.name,
+      status: getInviteStatus(invite),
+    })));
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+// Invite a participant by email to link their account to this bill
+router.post('/', async (req, res) => {
+  try {
+    const { billId } = req.params;
+    const { participant_id, email } = req.body;
+
+    if (!participant_id || typeof email !== 'string' || !email.includes('@')) {
+      return res.status(400).json({ error: 'Participant and a valid email are required' });
+    }
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+      include: {
+        participants: true,
+        products: { include: { productParticipants: true } },
+        adjustments: true,
+      },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const participant = bill.participants.find(p => p.id === participant_id);
+    if (!participant) {
+      return res.status(400).json({ error: 'Participant must belong to this bill' });
+    }
+    if (participant.user_id) {
+      return res.status(409).json({ error: 'Participant is already linked to an account' });
+    }
+
+    const { invite, url } = await InviteService.createInvite(participant.id, email);
+
+    // A failed email shouldn't lose the invite; the owner gets the link to pass on
+    let emailSent = false;
+    try {
+      const { participantTotals } = SplitService.getBillTotals(bill.participants, bill.products, bill.adjustments);
+      emailSent = await notificationService.sendBillSharedEmail(invite.email, {
+        recipientName: participant.name,
+        sharerName: req.user.name,
+        storeName: bill.title,
+        currency: bill.currency,
+        total: Money.formatAmount(bill.total_amount_minor, bill.currency),
+        yourShare: Money.formatAmount(participantTotals[participant.id], bill.currency),
+        date: new Date(bill.created_at).toLocaleDateString(),
+        billId,
+        shareUrl: url,
+        actionLabel: 'Accept Invite',
+      });
+    } catch (error) {
+      console.error('Error emailing invite:', error);
+    }
+
+    res.status(201).json({
+      id: invite.id,
+      participant_id: participant.id,
+      email: invite.email,
+      expires_at: invite.expires_at,
+      email_sent: emailSent,
+      ...(!emailSent && { url }),
+      message: emailSent ? 'Invite sent successfully' : 'Invite created, but the email could not be sent'
+    });
+  } catch (error) {
+    console.error('Error sending invite:', error);
+    res.status(500).json({ error: 'Failed to send invite' });
+  }
+});
+
+// Revoke a pending invite
+router.delete('/:inviteId', async (req, res) => {
+  try {
+    const { billId, inviteId } = req.params;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const result = await prisma.participantInvite.updateMany({
+      where: {
+        id: inviteId,
+        participant: { bill_id: billId },
+        accepted_at: null,
+        revoked_at: null,
+      },
+      data: { revoked_at: new Date() },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../prismaClient');
+const Money = require('../utils/money');
+
+// Mounted by the bills router under /:billId/payments, which already authenticates
+const router = express.Router({ mergeParams: true });
+
+// Validate payer/payee/amount/date against the bill's participants
+function validatePayment(payment, participantIds, currency) {
+  const { payer_id, payee_id, amount, paid_at } = payment;
+  if (!payer_id || !payee_id || amount === undefined) {
+    return 'Payer, payee and amount are required';
+  }
+  if (!participantIds.has(payer_id) || !participantIds.has(payee_id)) {
+    return 'Payer and payee must be participants of this bill';
+  }
+  if (payer_id === payee_id) {
+    return 'Payer and payee must be different participants';
+  }
+  if (!Money.isValidAmount(amount, currency) || !(amount > 0)) {
+    return 'Amount must be a positive number';
+  }
+  if (paid_at !== undefined && isNaN(new Date(paid_at).getTime())) {
+    return 'Invalid payment date';
+  }
+  return null;
+}
+
+// Get all settle-up payments for a bill
+router.get('/', async (req, res) => {
+  try {
+    const { billId } = req.params;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const payments = await prisma.payment.findMany({
+      where: { bill_id: billId },
+      include: { payer: true, payee: true },
+      orderBy: { paid_at: 'asc' },
+    });
+
+    res.json(payments.map(payment => ({
+      ...payment,
+      amount: Money.fromMinorUnits(payment.amount_minor, bill.currency),
+      payer_name: payment.payer.name,
+      payee_name: payment.payee.name,
+    })));
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+});
+
+// Record a settle-up payment between two participants
+router.post('/', async (req, res) => {
+  try {
+    const { billId } = req.params;
+    const { payer_id, payee_id, amount, paid_at, note } = req.body;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+      include: { participants: true },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const participantIds = new Set(bill.participants.map(p => p.id));
+    const validationError = validatePayment(req.body, participantIds, bill.currency);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const paymentId = uuidv4();
+    await prisma.payment.create({
+      data: {
+        id: paymentId,
+        bill_id: billId,
+        payer_id,
+        payee_id,
+        amount_minor: Money.toMinorUnits(amount, bill.currency),
+        paid_at: paid_at ? new Date(paid_at) : new Date(),
+        note: note || null,
+      },
+    });
+
+    res.status(201).json({
+      id: paymentId,
+      message: 'Payment recorded successfully'
+    });
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    res.status(500).json({ error: 'Failed to record payment' });
+  }
+});
+
+// Update a settle-up payment
+router.put('/:paymentId', async (req, res) => {
+  try {
+    const { billId, paymentId } = req.params;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+      include: { participants: true },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const existing = await prisma.payment.findFirst({
+      where: { id: paymentId, bill_id: billId },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const updated = {
+      payer_id: req.body.payer_id ?? existing.payer_id,
+      payee_id: req.body.payee_id ?? existing.payee_id,
+      amount: req.body.amount ?? Money.fromMinorUnits(existing.amount_minor, bill.currency),
+      paid_at: req.body.paid_at ?? existing.paid_at,
+    };
+    const participantIds = new Set(bill.participants.map(p => p.id));
+    const validationError = validatePayment(updated, participantIds, bill.currency);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await prisma.payment.update({
+      where: { id: paymentId },
+      data: {
+        payer_id: updated.payer_id,
+        payee_id: updated.payee_id,
+        amount_minor: Money.toMinorUnits(updated.amount, bill.currency),
+        paid_at: new Date(updated.paid_at),
+        note: req.body.note !== undefined ? req.body.note || null : existing.note,
+      },
+    });
+
+    res.json({ message: 'Payment updated successfully' });
+  } catch (error) {
+    console.error('Error updating payment:', error);
+    res.status(500).json({ error: 'Failed to update payment' });
+  }
+});
+
+// Delete a settle-up payment
+router.delete('/:paymentId', async (req, res) => {
+  try {
+    const { billId, paymentId } = req.params;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const result = await prisma.payment.deleteMany({
+      where: { id: paymentId, bill_id: billId },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    res.json({ message: 'Payment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting payment:', error);
+    res.status(500).json({ error: 'Failed to delete payment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const prisma = require('../prismaClient');
+const { authenticateToken } = require('../middleware/auth');
+const ReceiptStorageService = require('../services/receiptStorageService');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// download_url and thumbnail_download_url are signed and expire after a while;
+// url and thumbnail_url are stable but need the Authorization header
+async function formatAsset(asset) {
+  return {
+    id: asset.id,
+    bill_id: asset.bill_id,
+    original_name: asset.original_name,
+    mime_type: asset.mime_type,
+    size_bytes: asset.size_bytes,
+    url: ReceiptStorageService.fileUrl(asset.filename),
+    thumbnail_url: ReceiptStorageService.fileUrl(asset.thumbnail_filename),
+    download_url: await ReceiptStorageService.getDownloadUrl(asset.filename),
+    thumbnail_download_url: await ReceiptStorageService.getDownloadUrl(asset.thumbnail_filename),
+    expires_at: ReceiptStorageService.getExpiry(asset),
+    created_at: asset.created_at,
+  };
+}
+
+// The user's receipts with their storage usage. ?bill_id= for one bill's
+// receipts, ?unlinked=true for receipts not attached to any bill.
+router.get('/', async (req, res) => {
+  try {
+    const where = { user_id: req.user.id };
+    if (req.query.bill_id) {
+      where.bill_id = req.query.bill_id;
+    } else if (req.query.unlinked === 'true') {
+      where.bill_id = null;
+    }
+    const [assets, storage] = await Promise.all([
+      prisma.receiptAsset.findMany({ where, orderBy: { created_at: 'desc' } }),
+      ReceiptStorageService.getStorageUsage(req.user.id),
+    ]);
+    res.json({ receipts: await Promise.all(assets.map(formatAsset)), storage });
+  } catch (error) {
+    console.error('Error fetching receipts:', error);
+    res.status(500).json({ error: 'Failed to fetch receipts' });
+  }
+});
+
+// Get a receipt with its OCR jobs
+router.get('/:id', async (req, res) => {
+  try {
+    const asset = await prisma.receiptAsset.findFirst({
+      where: { id: req.params.id, user_id: req.user.id },
+      include: { ocrJobs: { select: { id: true, status: true, created_at: true }, orderBy: { created_at: 'desc' } } },
+    });
+    if (!asset) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    res.json({ ...(await formatAsset(asset)), ocr_jobs: asset.ocrJobs });
+  } catch (error) {
+    console.error('Error fetching receipt:', error);
+    res.status(500).json({ error: 'Failed to fetch receipt' });
+  }
+});
+
+// Thumbnail image (JPEG, at most 320px on the longer side), via a signed URL
+router.get('/:id/thumbnail', async (req, res) => {
+  try {
+    const asset = await prisma.receiptAsset.findFirst({ where: { id: req.params.id, user_id: req.user.id } });
+    if (!asset || !asset.thumbnail_filename) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+    res.redirect(await ReceiptStorageService.getDownloadUrl(asset.thumbnail_filename));
+  } catch (error) {
+    console.error('Error fetching receipt thumbnail:', error);
+    res.status(500).json({ error: 'Failed to fetch receipt thumbnail' });
+  }
+});
+
+// Link a receipt to one of the user's bills, or unlink it with bill_id: null.
+// Unlinked receipts are purged after the retention period.
+router.patch('/:id', async (req, res) => {
+  try {
+    const { bill_id } = req.body;
+    if (bill_id === undefined) {
+      return res.status(400).json({ error: 'bill_id is required (null to unlink)' });
+    }
+    const asset = await prisma.receiptAsset.findFirst({ where: { id: req.params.id, user_id: req.user.id } });
+    if (!asset) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    if (bill_id !== null) {
+      const bill = await prisma.bill.findFirst({ where: { id: bill_id, user_id: req.user.id } });
+      if (!bill) {
+        return res.status(404).json({ error: 'Bill not found' });
+      }
+    }
+    const updated = await ReceiptStorageService.linkToBill(asset, bill_id);
+    res.json(await formatAsset(updated));
+  } catch (error) {
+    console.error('Error updating receipt:', error);
+    res.status(500).json({ error: 'Failed to update receipt' });
+  }
+});
+
+// Delete a receipt and every file derived from it
+router.delete('/:id', async (req, res) => {
+  try {
+    const asset = await prisma.receiptAsset.findFirst({ where: { id: req.params.id, user_id: req.user.id } });
+    if (!asset) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    await ReceiptStorageService.deleteAsset(asset);
+    res.json({ message: 'Receipt deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting receipt:', error);
+    res.status(500).json({ error: 'Failed to delete receipt' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+const express = require('express');
+const prisma = require('../prismaClient');
+const { authenticateToken } = require('../middleware/auth');
+const Money = require('../utils/money');
+const CurrencyService = require('../services/currencyService');
+const { getNextOccurrence, validateSchedule } = require('../utils/schedule');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Default product lines: [{ name, price, quantity }], split equally on each bill
+function validateProducts(products, currency) {
+  if (!Array.isArray(products)) {
+    return 'Products must be an array';
+  }
+  for (const product of products) {
+    if (!product || !product.name) {
+      return 'Each product needs a name';
+    }
+    if (!Money.isValidAmount(product.price, currency) || product.price < 0) {
+      return 'Each product needs a non-negative price';
+    }
+    if (product.quantity !== undefined && (!Number.isInteger(product.quantity) || product.quantity < 1)) {
+      return 'Product quantity must be a positive whole number';
+    }
+  }
+  return null;
+}
+
+function toProductData(products, currency) {
+  return products.map(product => ({
+    name: product.name,
+    price_minor: Money.toMinorUnits(product.price, currency),
+    quantity: product.quantity || 1,
+  }));
+}
+
+// First occurrence from now on; a start date in the past doesn't backfill bills
+function getFirstRun(schedule) {
+  const now = new Date();
+  const startsAt = new Date(schedule.starts_at);
+  return getNextOccurrence(schedule, new Date(Math.max(startsAt.getTime() - 1, now.getTime())));
+}
+
+function formatSchedule(schedule) {
+  return {
+    ...schedule,
+    amount: schedule.amount_minor !== null ? Money.fromMinorUnits(schedule.amount_minor, schedule.currency) : null,
+    products: (schedule.products || []).map(product => ({
+      ...product,
+      price: Money.fromMinorUnits(product.price_minor, schedule.currency),
+    })),
+  };
+}
+
+// Get all recurring bill schedules for the authenticated user
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await prisma.recurringBill.findMany({
+      where: { user_id: req.user.id },
+      orderBy: { created_at: 'desc' },
+      include: { template: true, products: { orderBy: { created_at: 'asc' } } },
+    });
+    res.json(schedules.map(formatSchedule));
+  } catch (error) {
+    console.error('Error fetching recurring bills:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring bills' });
+  }
+});
+
+// Get a schedule with the bills it has created
+router.get('/:id', async (req, res) => {
+  try {
+    const schedule = await prisma.recurringBill.findFirst({
+      where: { id: req.params.id, user_id: req.user.id },
+      include: {
+        template: true,
+        products: { orderBy: { created_at: 'asc' } },
+        bills: { orderBy: { scheduled_for: 'desc' }, take: 24 },
+      },
+    });
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring bill not found' });
+    }
+    res.json({
+      ...formatSchedule(schedule),
+      bills: schedule.bills.map(bill => ({
+        ...bill,
+        total_amount: Money.fromMinorUnits(bill.total_amount_minor, bill.currency),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching recurring bill:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring bill' });
+  }
+});
+
+// Create a schedule from a template
+router.post('/', async (req, res) => {
+  try {
+    const {
+      template_id, title, description, currency, amount, products = [],
+      frequency, interval = 1, cron, starts_at = new Date(), catch_up = true,
+    } = req.body;
+
+    if (!template_id || !title) {
+      return res.status(400).json({ error: 'Template and title are required' });
+    }
+    const template = await prisma.billTemplate.findFirst({
+      where: { id: template_id, user_id: req.user.id },
+    });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const billCurrency = currency ? String(currency).toUpperCase() : req.user.home_currency;
+    if (!CurrencyService.isValidCurrency(billCurrency)) {
+      return res.status(400).json({ error: 'Currency must be a three-letter code' });
+    }
+    const rule = { frequency, interval, cron: frequency === 'cron' ? cron : null, starts_at };
+    const validationError = validateSchedule(rule) || validateProducts(products, billCurrency);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (amount !== undefined && amount !== null && (!Money.isValidAmount(amount, billCurrency) || amount < 0)) {
+      return res.status(400).json({ error: 'Amount must be a non-negative number' });
+    }
+
+    const schedule = await prisma.recurringBill.create({
+      data: {
+        user_id: req.user.id,
+        template_id,
+        title,
+        description: description || null,
+        currency: billCurrency,
+        amount_minor: amount !== undefined && amount !== null ? Money.toMinorUnits(amount, billCurrency) : null,
+        ...rule,
+        starts_at: new Date(starts_at),
+        next_run_at: getFirstRun(rule),
+        catch_up: Boolean(catch_up),
+        products: { create: toProductData(products, billCurrency) },
+      },
+      include: { products: true },
+    });
+
+    res.status(201).json({
+      recurring_bill: formatSchedule(schedule),
+      message: 'Recurring bill created successfully',
+    });
+  } catch (error) {
+    console.error('Error creating recurring bill:', error);
+    res.status(500).json({ error: 'Failed to create recurring bill' });
+  }
+});
+
+// Update a schedule. Changing the rule or resuming a paused schedule starts again
+// from now rather than backfilling the gap.
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await prisma.recurringBill.findFirst({
+      where: { id: req.params.id, user_id: req.user.id },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Recurring bill not found' });
+    }
+
+    const { title, description, amount, products, catch_up, active } = req.body;
+    const rule = {
+      frequency: req.body.frequency ?? existing.frequency,
+      interval: req.body.interval ?? existing.interval,
+      cron: req.body.cron ?? existing.cron,
+      starts_at: req.body.starts_at ?? existing.starts_at,
+    };
+    if (rule.frequency !== 'cron') rule.cron = null;
+
+    const validationError = validateSchedule(rule) || (products !== undefined ? validateProducts(products, existing.currency) : null);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (amount !== undefined && amount !== null && (!Money.isValidAmount(amount, existing.currency) || amount < 0)) {
+      return res.status(400).json({ error: 'Amount must be a non-negative number' });
+    }
+
+    const ruleChanged = ['frequency', 'interval', 'cron'].some(field => rule[field] !== existing[field])
+      || new Date(rule.starts_at).getTime() !== existing.starts_at.getTime();
+    const resumed = active === true && !existing.active;
+
+    await prisma.$transaction([
+      ...(products !== undefined ? [
+        prisma.recurringBillProduct.deleteMany({ where: { recurring_bill_id: existing.id } }),
+        prisma.recurringBillProduct.createMany({
+          data: toProductData(products, existing.currency).map(product => ({ ...product, recurring_bill_id: existing.id })),
+        }),
+      ] : []),
+      prisma.recurringBill.update({
+        where: { id: existing.id },
+        data: {
+          title,
+          description,
+          amount_minor: amount !== undefined
+            ? (amount === null ? null : Money.toMinorUnits(amount, existing.currency))
+            : undefined,
+          ...rule,
+          starts_at: new Date(rule.starts_at),
+          next_run_at: ruleChanged || resumed ? getFirstRun(rule) : undefined,
+          catch_up: catch_up !== undefined ? Boolean(catch_up) : undefined,
+          active: active !== undefined ? Boolean(active) : undefined,
+        },
+      }),
+    ]);
+
+    res.json({ message: 'Recurring bill updated successfully' });
+  } catch (error) {
+    console.error('Error updating recurring bill:', error);
+    res.status(500).json({ error: 'Failed to update recurring bill' });
+  }
+});
+
+// Delete a schedule; bills it already created are kept
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await prisma.recurringBill.deleteMany({
+      where: { id: req.params.id, user_id: req.user.id },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Recurring bill not found' });
+    }
+    res.json({ message: 'Recurring bill deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting recurring bill:', error);
+    res.status(500).json({ error: 'Failed to delete recurring bill' });
+  }
+});
+
+module.exports = router;
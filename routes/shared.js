@@ -0,0 +1,99 @@
+const express = require('express');
+const prisma = require('../prismaClient');
+const { optionalAuth } = require('../middleware/auth');
+const Money = require('../utils/money');
+const SplitService = require('../services/splitService');
+const ShareService = require('../services/shareService');
+
+const router = express.Router();
+
+// Public, read-only bill view for share link holders. Signing in is optional; it
+// only tells the owner's own client that it's looking at its own bill.
+router.get('/:token', optionalAuth, async (req, res) => {
+  try {
+    const share = await ShareService.findActiveShare(req.params.token);
+    if (!share) {
+      return res.status(404).json({ error: 'Share link not found or expired' });
+    }
+
+    const bill = await prisma.bill.findUnique({
+      where: { id: share.bill_id },
+      include: {
+        participants: { orderBy: { created_at: 'asc' } },
+        products: { include: { productParticipants: true }, orderBy: { created_at: 'asc' } },
+        payers: true,
+        payments: true,
+        adjustments: { orderBy: { created_at: 'asc' } },
+      },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Share link not found or expired' });
+    }
+
+    await prisma.billShare.update({
+      where: { id: share.id },
+      data: { last_viewed_at: new Date() },
+    });
+
+    const { currency } = bill;
+    const billTotals = SplitService.getBillTotals(bill.participants, bill.products, bill.adjustments);
+    const balances = SplitService.getBalancesById(bill.participants, billTotals.participantTotals, bill.payers, bill.payments);
+    const participantNames = {};
+    bill.participants.forEach(p => {
+      participantNames[p.id] = p.name;
+    });
+
+    const participantTotals = participant => ({
+      id: participant.id,
+      name: participant.name,
+      color: participant.color,
+      items_total: Money.formatAmount(billTotals.itemTotals[participant.id], currency),
+      adjustments_total: Money.formatAmount(billTotals.adjustmentTotals[participant.id], currency),
+      total_owed: Money.formatAmount(billTotals.participantTotals[participant.id], currency),
+      total_paid: Money.formatAmount(balances[participant.id].paid, currency),
+      total_received: Money.formatAmount(balances[participant.id].received, currency),
+      remaining: Money.formatAmount(-balances[participant.id].balance, currency),
+    });
+
+    // A participant link only reveals that participant's totals
+    const sharedParticipant = share.participant_id
+      ? bill.participants.find(p => p.id === share.participant_id)
+      : null;
+
+    res.json({
+      bill: {
+        title: bill.title,
+        description: bill.description,
+        currency,
+        created_at: bill.created_at,
+        total_amount: Money.formatAmount(bill.total_amount_minor, currency),
+      },
+      products: bill.products.map(product => ({
+        name: product.name,
+        price: Money.formatAmount(product.price_minor, currency),
+        quantity: product.quantity,
+        total_cost: Money.formatAmount(product.price_minor * product.quantity, currency),
+        split_mode: product.split_mode,
+        shares: SplitService.getProductShares(product).map(share => ({
+          participant_id: share.participant_id,
+          name: participantNames[share.participant_id],
+          amount: Money.formatAmount(share.amount, currency),
+        })),
+      })),
+      adjustments: billTotals.adjustments.map(adjustment => ({
+        type: adjustment.type,
+        label: adjustment.label,
+        amount: Money.formatAmount(adjustment.amount, currency),
+      })),
+      participant: sharedParticipant ? participantTotals(sharedParticipant) : null,
+      participants: sharedParticipant ? undefined : bill.participants.map(participantTotals),
+      expires_at: share.expires_at,
+      is_owner: Boolean(req.user && req.user.id === bill.user_id),
+    });
+  } catch (error) {
+    console.error('Error fetching shared bill:', error);
+    res.status(500).json({ error: 'Failed to fetch shared bill' });
+  }
+});
+
+module.exports = router;
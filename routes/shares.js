@@ -0,0 +1,144 @@
+const express = require('express');
+const prisma = require('../prismaClient');
+const Money = require('../utils/money');
+const SplitService = require('../services/splitService');
+const ShareService = require('../services/shareService');
+const notificationService = require('../services/notificationService');
+
+// Mounted by the bills router under /:billId/shares, which already authenticates
+const router = express.Router({ mergeParams: true });
+
+// Share links never expose the token again after creation
+function formatShare(share) {
+  const { token_hash, ...rest } = share;
+  return { ...rest, active: ShareService.isActive(share) };
+}
+
+// Get all share links for a bill
+router.get('/', async (req, res) => {
+  try {
+    const { billId } = req.params;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const shares = await prisma.billShare.findMany({
+      where: { bill_id: billId },
+      include: { participant: true },
+      orderBy: { created_at: 'desc' },
+    });
+
+    res.json(shares.map(share => ({
+      ...formatShare(share),
+      participant_name: share.participant ? share.participant.name : null,
+    })));
+  } catch (error) {
+    console.error('Error fetching shares:', error);
+    res.status(500).json({ error: 'Failed to fetch shares' });
+  }
+});
+
+// Create a read-only share link for the whole bill or a single participant,
+// optionally emailing it
+router.post('/', async (req, res) => {
+  try {
+    const { billId } = req.params;
+    const { participant_id, expires_in_days = ShareService.DEFAULT_EXPIRY_DAYS, email } = req.body;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+      include: {
+        participants: true,
+        products: { include: { productParticipants: true } },
+        adjustments: true,
+      },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const participant = participant_id
+      ? bill.participants.find(p => p.id === participant_id)
+      : null;
+    if (participant_id && !participant) {
+      return res.status(400).json({ error: 'Participant must belong to this bill' });
+    }
+    if (!Number.isInteger(expires_in_days) || expires_in_days < 1 || expires_in_days > ShareService.MAX_EXPIRY_DAYS) {
+      return res.status(400).json({ error: `Expiry must be between 1 and ${ShareService.MAX_EXPIRY_DAYS} days` });
+    }
+    if (email !== undefined && (typeof email !== 'string' || !email.includes('@'))) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
+    const { share, url } = await ShareService.createShare(billId, {
+      participantId: participant ? participant.id : null,
+      expiresInDays: expires_in_days,
+    });
+
+    // A failed email shouldn't lose the link; the owner can still copy it
+    let emailSent = false;
+    if (email) {
+      try {
+        const { participantTotals } = SplitService.getBillTotals(bill.participants, bill.products, bill.adjustments);
+        emailSent = await notificationService.sendBillSharedEmail(email, {
+          recipientName: participant ? participant.name : null,
+          sharerName: req.user.name,
+          storeName: bill.title,
+          currency: bill.currency,
+          total: Money.formatAmount(bill.total_amount_minor, bill.currency),
+          yourShare: participant ? Money.formatAmount(participantTotals[participant.id], bill.currency) : null,
+          date: new Date(bill.created_at).toLocaleDateString(),
+          billId,
+          shareUrl: url,
+        });
+      } catch (error) {
+        console.error('Error emailing share link:', error);
+      }
+    }
+
+    res.status(201).json({
+      ...formatShare(share),
+      url,
+      email_sent: emailSent,
+    });
+  } catch (error) {
+    console.error('Error creating share:', error);
+    res.status(500).json({ error: 'Failed to create share' });
+  }
+});
+
+// Revoke a share link; it stops working immediately
+router.delete('/:shareId', async (req, res) => {
+  try {
+    const { billId, shareId } = req.params;
+
+    // Verify bill belongs to user
+    const bill = await prisma.bill.findFirst({
+      where: { id: billId, user_id: req.user.id },
+    });
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const result = await prisma.billShare.updateMany({
+      where: { id: shareId, bill_id: billId, revoked_at: null },
+      data: { revoked_at: new Date() },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    res.json({ message: 'Share revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking share:', error);
+    res.status(500).json({ error: 'Failed to revoke share' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const { v4: uuidv4 } = require('uuid');
 const prisma = require('../prismaClient');
 const { authenticateToken } = require('../middleware/auth');
 const PremiumService = require('../services/premiumService');
+const CurrencyService = require('../services/currencyService');
+const Money = require('../utils/money');
 
 const router = express.Router();
 
@@ -153,7 +155,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 router.post('/:id/apply', authenticateToken, async (req, res) => {
   try {
     const templateId = req.params.id;
-    const { title, total_amount, description } = req.body;
+    const { title, total_amount, description, currency } = req.body;
     // Get template with participants
     const template = await prisma.billTemplate.findFirst({
       where: { id: templateId, user_id: req.user.id },
@@ -162,6 +164,13 @@ router.post('/:id/apply', authenticateToken, async (req, res) => {
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
+    const billCurrency = currency ? String(currency).toUpperCase() : req.user.home_currency;
+    if (!CurrencyService.isValidCurrency(billCurrency)) {
+      return res.status(400).json({ error: 'Currency must be a three-letter code' });
+    }
+    if (total_amount !== undefined && total_amount !== null && (!Money.isValidAmount(total_amount, billCurrency) || total_amount < 0)) {
+      return res.status(400).json({ error: 'Total amount must be a non-negative number' });
+    }
     // Create new bill
     const billId = uuidv4();
     await prisma.bill.create({
@@ -169,8 +178,10 @@ router.post('/:id/apply', authenticateToken, async (req, res) => {
         id: billId,
         user_id: req.user.id,
         title,
-        total_amount,
+        total_amount_minor: Money.toMinorUnits(total_amount || 0, billCurrency),
+        currency: billCurrency,
         description,
+        template_id: template.id,
       },
     });
     // Copy participants from template to bill
@@ -1,74 +1,120 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
-const { createWorker } = require('tesseract.js');
-const { v4: uuidv4 } = require('uuid');
+const prisma = require('../prismaClient');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const upload = require('../middleware/receiptUpload');
+const ocrService = require('../services/ocrService');
+const ImagePreprocessor = require('../services/imagePreprocessor');
+const ReceiptStorageService = require('../services/receiptStorageService');
+const ReceiptLocales = require('../utils/receiptLocales');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
+// Preprocessing options arrive as a multipart field: "false" to skip every step,
+// or JSON such as {"deskew":false,"threshold":false}. Returns { error } if invalid.
+function parsePreprocessOptions(value) {
+  if (value === undefined || value === '') return { options: {} };
+  if (value === 'false' || value === false) return { options: false };
+  let options;
+  try {
+    options = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    return { error: 'Preprocess options must be JSON' };
   }
-});
-
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|bmp|tiff/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'));
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'Preprocess options must be an object' };
+  }
+  for (const [key, optionValue] of Object.entries(options)) {
+    if (!(key in ImagePreprocessor.DEFAULT_OPTIONS)) {
+      return { error: `Unknown preprocess option "${key}"` };
+    }
+    if (key === 'maxDimension'
+      ? !(Number.isInteger(optionValue) && optionValue >= 200 && optionValue <= 10000)
+      : typeof optionValue !== 'boolean') {
+      return { error: `Invalid value for preprocess option "${key}"` };
     }
   }
+  return { options };
+}
+
+function formatOcrJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    assetId: job.asset_id,
+    locale: job.locale,
+    imageUrl: job.image_url,
+    debugImageUrl: job.processed_image_url,
+    preprocessing: job.preprocessing,
+    pageCount: job.page_count,
+    pages: job.pages,
+    error: job.error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    completed_at: job.completed_at,
+    result: job.status === 'completed'
+      ? { extractedText: job.extracted_text, parsedData: job.parsed_data, reconciliation: job.reconciliation }
+      : null,
+  };
+}
+
+// Receipt locales an upload can be hinted with (the `locale` field) and whether
+// their OCR language data is installed
+router.get('/locales', (req, res) => {
+  res.json(ReceiptLocales.LOCALES.map(locale => ({
+    id: locale.id,
+    language: locale.language,
+    currency: locale.currency,
+    decimalSeparator: locale.decimalSeparator,
+    available: ocrService.isLanguageAvailable(locale.language),
+  })));
 });
 
-// Upload and process image
-router.post('/image', upload.single('image'), async (req, res) => {
+// Upload and process an image or PDF (premium), waiting for the result. Prefer
+// POST /jobs for large receipts; this runs through the same worker pool.
+// An optional `locale` field ("de-DE", "de", ...) sets the OCR language and how
+// amounts are read; without it (or with "auto") the locale is detected.
+router.post('/image', optionalAuth, upload.single('image'), upload.requirePdfFeature, upload.checkStorageQuota, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' });
     }
 
-    const imagePath = req.file.path;
-    const imageUrl = `/uploads/${req.file.filename}`;
+    const { options, error } = parsePreprocessOptions(req.body.preprocess);
+    const { locale, error: localeError } = ocrService.resolveLocaleHint(req.body.locale);
+    if (error || localeError) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: error || localeError });
+    }
 
-    // Process image with OCR
-    const extractedText = await processImageWithOCR(imagePath);
-    
-    // Parse the extracted text to find products and prices
-    const parsedData = parseBillText(extractedText);
+    const job = await ocrService.createJob(req.file, req.user && req.user.id, options, locale);
+    const completed = await ocrService.process(job.id);
 
     res.json({
       success: true,
-      imageUrl,
-      extractedText,
-      parsedData,
+      jobId: completed.id,
+      assetId: completed.asset_id,
+      locale: completed.locale,
+      imageUrl: completed.image_url,
+      debugImageUrl: completed.processed_image_url,
+      preprocessing: completed.preprocessing,
+      pageCount: completed.page_count,
+      pages: completed.pages,
+      extractedText: completed.extracted_text,
+      parsedData: completed.parsed_data,
+      reconciliation: completed.reconciliation,
       message: 'Image processed successfully'
     });
 
   } catch (error) {
     console.error('Error processing image:', error);
     
-    // Clean up uploaded file if processing failed
-    if (req.file && fs.existsSync(req.file.path)) {
+    // Clean up the uploaded receipt if processing failed
+    const asset = req.file && await ReceiptStorageService.findAssetForFile(req.file.filename).catch(() => null);
+    if (asset) {
+      await ReceiptStorageService.deleteAsset(asset).catch(() => {});
+    } else if (req.file && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
     
@@ -79,122 +125,103 @@ router.post('/image', upload.single('image'), async (req, res) => {
   }
 });
 
-// Process image with OCR
-async function processImageWithOCR(imagePath) {
-  const worker = await createWorker('eng');
-  
+// Upload an image or PDF (premium) and return a job id straight away; poll
+// GET /jobs/:id for progress and the parsed result. Takes the same `locale`
+// field as POST /image.
+router.post('/jobs', optionalAuth, upload.single('image'), upload.requirePdfFeature, upload.checkStorageQuota, async (req, res) => {
   try {
-    const { data: { text } } = await worker.recognize(imagePath);
-    await worker.terminate();
-    return text;
-  } catch (error) {
-    await worker.terminate();
-    throw new Error(`OCR processing failed: ${error.message}`);
-  }
-}
-
-// Parse bill text to extract products and prices
-function parseBillText(text) {
-  const lines = text.split('\n').filter(line => line.trim());
-  const products = [];
-  let totalAmount = 0;
-  
-  // Common patterns for grocery receipts
-  const pricePattern = /\$?\d+\.\d{2}/g;
-  const quantityPattern = /^\d+\s+/;
-  
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    
-    // Skip header/footer lines
-    if (isHeaderFooter(trimmedLine)) continue;
-    
-    // Look for total amount
-    if (isTotalLine(trimmedLine)) {
-      const totalMatch = trimmedLine.match(/\$?\d+\.\d{2}/);
-      if (totalMatch) {
-        totalAmount = parseFloat(totalMatch[0].replace('$', ''));
-      }
-      continue;
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' });
     }
-    
-    // Extract product information
-    const product = extractProductFromLine(trimmedLine);
-    if (product) {
-      products.push(product);
+
+    const { options, error } = parsePreprocessOptions(req.body.preprocess);
+    const { locale, error: localeError } = ocrService.resolveLocaleHint(req.body.locale);
+    if (error || localeError) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: error || localeError });
     }
-  }
-  
-  return {
-    products,
-    totalAmount,
-    rawText: text
-  };
-}
 
-function isHeaderFooter(line) {
-  const headerFooterKeywords = [
-    'receipt', 'store', 'address', 'phone', 'date', 'time',
-    'cashier', 'register', 'thank', 'visit', 'card', 'change',
-    'subtotal', 'tax', 'total', 'amount', 'due'
-  ];
-  
-  const lowerLine = line.toLowerCase();
-  return headerFooterKeywords.some(keyword => lowerLine.includes(keyword));
-}
+    const job = await ocrService.createJob(req.file, req.user && req.user.id, options, locale);
+    ocrService.enqueue(job.id);
 
-function isTotalLine(line) {
-  const totalKeywords = ['total', 'amount due', 'grand total'];
-  const lowerLine = line.toLowerCase();
-  return totalKeywords.some(keyword => lowerLine.includes(keyword));
-}
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/upload/jobs/${job.id}`,
+      assetId: job.asset_id,
+      imageUrl: job.image_url,
+    });
+  } catch (error) {
+    console.error('Error queueing OCR job:', error);
+    res.status(500).json({ error: 'Failed to queue image for processing' });
+  }
+});
 
-function extractProductFromLine(line) {
-  // Remove common prefixes/suffixes
-  let cleanLine = line.replace(/^\d+\s+/, ''); // Remove quantity prefix
-  cleanLine = cleanLine.replace(/\s+\d+\.\d{2}$/, ''); // Remove price suffix
-  
-  // Find price in the line
-  const priceMatch = line.match(/\$?\d+\.\d{2}/);
-  if (!priceMatch) return null;
-  
-  const price = parseFloat(priceMatch[0].replace('$', ''));
-  const productName = cleanLine.trim();
-  
-  // Skip if product name is too short or looks like a header
-  if (productName.length < 2 || isHeaderFooter(productName)) {
-    return null;
+// Recent OCR jobs for the signed-in user
+router.get('/jobs', authenticateToken, async (req, res) => {
+  try {
+    const jobs = await prisma.ocrJob.findMany({
+      where: { user_id: req.user.id },
+      orderBy: { created_at: 'desc' },
+      take: 20,
+    });
+    res.json(jobs.map(formatOcrJob));
+  } catch (error) {
+    console.error('Error fetching OCR jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch OCR jobs' });
   }
-  
-  return {
-    name: productName,
-    price: price,
-    quantity: 1
-  };
-}
+});
 
-// Get uploaded image
-router.get('/image/:filename', (req, res) => {
-  const { filename } = req.params;
-  const imagePath = path.join(__dirname, '../uploads', filename);
-  
-  if (fs.existsSync(imagePath)) {
-    res.sendFile(imagePath);
-  } else {
-    res.status(404).json({ error: 'Image not found' });
+// Job status, progress and (once completed) the extracted text and parsed data.
+// Jobs uploaded while signed in are only visible to that user.
+router.get('/jobs/:id', optionalAuth, async (req, res) => {
+  try {
+    const job = await prisma.ocrJob.findUnique({ where: { id: req.params.id } });
+    if (!job || (job.user_id && (!req.user || req.user.id !== job.user_id))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(formatOcrJob(job));
+  } catch (error) {
+    console.error('Error fetching OCR job:', error);
+    res.status(500).json({ error: 'Failed to fetch OCR job' });
   }
 });
 
-// Delete uploaded image
-router.delete('/image/:filename', (req, res) => {
-  const { filename } = req.params;
-  const imagePath = path.join(__dirname, '../uploads', filename);
-  
-  if (fs.existsSync(imagePath)) {
-    fs.unlinkSync(imagePath);
+// Get an uploaded file (the receipt or a page/debug image derived from it).
+// Only the owner of the receipt can fetch it; they are redirected to a signed,
+// expiring download URL.
+router.get('/image/:filename', authenticateToken, async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const asset = await ReceiptStorageService.findAssetForFile(filename);
+    if (!asset || asset.user_id !== req.user.id || !(await ReceiptStorageService.fileExists(filename))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.redirect(await ReceiptStorageService.getDownloadUrl(filename));
+  } catch (error) {
+    console.error('Error fetching image:', error);
+    res.status(500).json({ error: 'Failed to fetch image' });
+  }
+});
+
+// Delete an uploaded file. Deleting the receipt itself removes the whole receipt
+// (see DELETE /api/receipts/:id); a derived file is just removed.
+router.delete('/image/:filename', authenticateToken, async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const asset = await ReceiptStorageService.findAssetForFile(filename);
+    if (!asset || asset.user_id !== req.user.id || !(await ReceiptStorageService.fileExists(filename))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    if (filename === asset.filename) {
+      await ReceiptStorageService.deleteAsset(asset);
+    } else {
+      await ReceiptStorageService.deleteFile(filename);
+    }
     res.json({ message: 'Image deleted successfully' });
-  } else {
-    res.status(404).json({ error: 'Image not found' });
+  } catch (error) {
+    console.error('Error deleting image:', error);
+    res.status(500).json({ error: 'Failed to delete image' });
   }
 });
 
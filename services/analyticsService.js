@@ -0,0 +1,384 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prismaClient');
+const CurrencyService = require('./currencyService');
+const Money = require('../utils/money');
+
+// Time series periods: Postgres date_trunc unit and the label format. Weeks are
+// ISO weeks, labelled by their Monday. Periods are UTC.
+const GRANULARITIES = {
+  day: { unit: 'day', format: 'YYYY-MM-DD' },
+  week: { unit: 'week', format: 'YYYY-MM-DD' },
+  month: { unit: 'month', format: 'YYYY-MM' },
+  year: { unit: 'year', format: 'YYYY' },
+};
+// compare=previous: the period of the same length just before; compare=year:
+// the same dates a year earlier
+const COMPARISONS = ['previous', 'year'];
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every report aggregates in the database. Amounts are summed per currency and
+// day there, and only those sums are converted into the report currency, at the
+// rate on that day, and added up here.
+class AnalyticsService {
+  // Report options from the query string: { from, to } (ISO dates or times; a
+  // date-only `to` includes that whole day), granularity, participant (a name,
+  // case-insensitive), group_id, template_id, compare and currency. Returns
+  // { options } or { error }.
+  static parseQuery(query, user) {
+    const range = { from: null, to: null };
+    for (const field of ['from', 'to']) {
+      if (query[field] === undefined || query[field] === '') continue;
+      const date = new Date(query[field]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${field} must be a date (YYYY-MM-DD) or an ISO timestamp` };
+      }
+      const endOfDay = field === 'to' && DATE_ONLY_REGEX.test(query[field]);
+      range[field] = endOfDay ? new Date(date.getTime() + DAY_MS) : date;
+    }
+    if (range.from && range.to && range.from >= range.to) {
+      return { error: 'from must be before to' };
+    }
+
+    const granularity = query.granularity || 'month';
+    if (!GRANULARITIES[granularity]) {
+      return { error: `granularity must be one of ${Object.keys(GRANULARITIES).join(', ')}` };
+    }
+    const compare = query.compare || null;
+    if (compare && !COMPARISONS.includes(compare)) {
+      return { error: `compare must be one of ${COMPARISONS.join(', ')}` };
+    }
+    if (compare && (!range.from || !range.to)) {
+      return { error: 'compare needs both from and to' };
+    }
+    const currency = String(query.currency || user.home_currency).toUpperCase();
+    if (!CurrencyService.isValidCurrency(currency)) {
+      return { error: 'Currency must be a three-letter code' };
+    }
+    const participant = typeof query.participant === 'string' && query.participant.trim()
+      ? query.participant.trim()
+      : null;
+
+    return {
+      options: {
+        userId: user.id,
+        range,
+        granularity,
+        participant,
+        groupId: query.group_id || null,
+        templateId: query.template_id || null,
+        compare,
+        currency,
+      },
+    };
+  }
+
+  // The range a report is compared against (see COMPARISONS)
+  static getComparisonRange({ range, compare }) {
+    if (compare === 'year') {
+      const shift = date => {
+        const shifted = new Date(date);
+        shifted.setUTCFullYear(shifted.getUTCFullYear() - 1);
+        return shifted;
+      };
+      return { from: shift(range.from), to: shift(range.to) };
+    }
+    const length = range.to.getTime() - range.from.getTime();
+    return { from: new Date(range.from.getTime() - length), to: range.from };
+  }
+
+  // SQL condition on the user's bills (aliased `b`) within `range`
+  static billFilter(options, range) {
+    const conditions = [Prisma.sql`b."user_id" = ${options.userId}`];
+    if (range.from) conditions.push(Prisma.sql`b."created_at" >= ${range.from}`);
+    if (range.to) conditions.push(Prisma.sql`b."created_at" < ${range.to}`);
+    if (options.groupId) conditions.push(Prisma.sql`b."group_id" = ${options.groupId}`);
+    if (options.templateId) conditions.push(Prisma.sql`b."template_id" = ${options.templateId}`);
+    if (options.participant) {
+      conditions.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM "Participant" fp WHERE fp."bill_id" = b."id" AND lower(fp."name") = lower(${options.participant})
+      )`);
+    }
+    return Prisma.join(conditions, ' AND ');
+  }
+
+  // Reports about participants only report the filtered participant (aliased `pa`)
+  static participantFilter(options) {
+    return options.participant
+      ? Prisma.sql`lower(pa."name") = lower(${options.participant})`
+      : Prisma.sql`TRUE`;
+  }
+
+  static periodColumn(granularity) {
+    const { unit, format } = GRANULARITIES[granularity];
+    return Prisma.raw(`to_char(date_trunc('${unit}', b."created_at"), '${format}')`);
+  }
+
+  // A period label, also as `month` for month series (the field they always had)
+  static withPeriod(period, granularity) {
+    return granularity === 'month' ? { period, month: period } : { period };
+  }
+
+  // Rows of per-currency, per-day sums, with `fields` converted into the report
+  // currency and summed across rows with the same key
+  static convertAndSum(rows, converter, keyOf, fields) {
+    const totals = new Map();
+    for (const row of rows) {
+      const key = keyOf(row);
+      const total = totals.get(key) || { ...row, ...Object.fromEntries(fields.map(field => [field, 0])) };
+      for (const field of fields) {
+        total[field] += converter.convertMinor(row[field], row.currency, row.day);
+      }
+      totals.set(key, total);
+    }
+    return [...totals.values()];
+  }
+
+  // 1. Total spent, average bill, bills and distinct participants (just the
+  // filtered participant, when there is one)
+  static async overview(options, range, converter) {
+    const filter = this.billFilter(options, range);
+    const [rows, [participants]] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT b."currency", date_trunc('day', b."created_at") AS "day",
+          SUM(b."total_amount_minor")::float8 AS "total", COUNT(*)::int AS "bills"
+        FROM "Bill" b
+        WHERE ${filter}
+        GROUP BY 1, 2`,
+      prisma.$queryRaw`
+        SELECT COUNT(DISTINCT pa."name")::int AS "count"
+        FROM "Participant" pa JOIN "Bill" b ON b."id" = pa."bill_id"
+        WHERE ${filter} AND ${this.participantFilter(options)}`,
+    ]);
+    const [totals] = this.convertAndSum(rows, converter, () => 'all', ['total']);
+    const totalSpent = totals ? totals.total : 0;
+    const billCount = Money.sum(rows.map(row => row.bills));
+    return {
+      totalSpent: Money.fromMinorUnits(totalSpent, converter.currency),
+      avgBill: Money.fromMinorUnits(billCount > 0 ? Math.round(totalSpent / billCount) : 0, converter.currency),
+      billCount,
+      activeParticipants: participants.count,
+      currency: converter.currency,
+    };
+  }
+
+  // 2. Total spent per period
+  static async spendingOverTime(options, range, converter) {
+    const rows = await prisma.$queryRaw`
+      SELECT ${this.periodColumn(options.granularity)} AS "period", b."currency",
+        date_trunc('day', b."created_at") AS "day", SUM(b."total_amount_minor")::float8 AS "total"
+      FROM "Bill" b
+      WHERE ${this.billFilter(options, range)}
+      GROUP BY 1, 2, 3
+      ORDER BY 1`;
+    return this.convertAndSum(rows, converter, row => row.period, ['total'])
+      .map(row => ({ ...this.withPeriod(row.period, options.granularity), total: Money.fromMinorUnits(row.total, converter.currency) }));
+  }
+
+  // 3. Bills per period
+  static async billFrequency(options, range) {
+    const rows = await prisma.$queryRaw`
+      SELECT ${this.periodColumn(options.granularity)} AS "period", COUNT(*)::int AS "bills"
+      FROM "Bill" b
+      WHERE ${this.billFilter(options, range)}
+      GROUP BY 1
+      ORDER BY 1`;
+    return rows.map(row => ({ ...this.withPeriod(row.period, options.granularity), bills: row.bills }));
+  }
+
+  // 4. The ten participants on the most bills
+  static async topParticipants(options, range) {
+    const rows = await prisma.$queryRaw`
+      SELECT p."name", COUNT(*)::int AS "count"
+      FROM "Participant" p JOIN "Bill" b ON b."id" = p."bill_id"
+      WHERE ${this.billFilter(options, range)}
+      GROUP BY p."name"
+      ORDER BY 2 DESC, 1
+      LIMIT 10`;
+    return rows.map(row => ({ id: row.name, value: row.count }));
+  }
+
+  // 5. The ten most common products, by catalogue entry so "ORG BANANAS" and
+  // "Organic Bananas" count together. Products not in the catalogue count by name.
+  static async commonProducts(options, range) {
+    const rows = await prisma.$queryRaw`
+      SELECT pr."catalog_product_id", COALESCE(MIN(cp."name"), MIN(pr."name")) AS "product",
+        MIN(c."name") AS "category", COUNT(*)::int AS "count"
+      FROM "Product" pr
+      JOIN "Bill" b ON b."id" = pr."bill_id"
+      LEFT JOIN "CatalogProduct" cp ON cp."id" = pr."catalog_product_id"
+      LEFT JOIN "Category" c ON c."id" = cp."category_id"
+      WHERE ${this.billFilter(options, range)}
+      GROUP BY pr."catalog_product_id", CASE WHEN pr."catalog_product_id" IS NULL THEN pr."name" END
+      ORDER BY 4 DESC, 2
+      LIMIT 10`;
+    return rows.map(row => ({
+      product: row.product,
+      catalog_product_id: row.catalog_product_id,
+      category: row.category,
+      count: row.count,
+    }));
+  }
+
+  // Shared CTEs for the split reports: each participant's item shares per bill and
+  // every adjustment's amount, resolved the way SplitService does (percentages of
+  // the item subtotal, discounts negative). Shares are exact here rather than
+  // rounded per bill, so totals can differ from bill summaries by a cent.
+  static splitCtes(options, range) {
+    return Prisma.sql`
+      filtered_bills AS (
+        SELECT b."id", b."currency", date_trunc('day', b."created_at") AS "day"
+        FROM "Bill" b
+        WHERE ${this.billFilter(options, range)}
+      ),
+      item_shares AS (
+        SELECT pa."id" AS "participant_id", pa."name", fb."id" AS "bill_id", fb."currency", fb."day",
+          COALESCE(SUM(pr."price_minor" * pr."quantity" * pp."share_percentage" / 100.0), 0) AS "items"
+        FROM "Participant" pa
+        JOIN filtered_bills fb ON fb."id" = pa."bill_id"
+        LEFT JOIN "ProductParticipant" pp ON pp."participant_id" = pa."id"
+        LEFT JOIN "Product" pr ON pr."id" = pp."product_id"
+        GROUP BY pa."id", pa."name", fb."id", fb."currency", fb."day"
+      ),
+      bill_items AS (
+        SELECT "bill_id", SUM("items") AS "items", COUNT(*) AS "participants"
+        FROM item_shares
+        GROUP BY "bill_id"
+      ),
+      bill_adjustments AS (
+        SELECT a."id", a."bill_id", a."type", a."split_method", fb."currency", fb."day",
+          (CASE WHEN a."calculation" = 'percentage'
+            THEN ROUND(COALESCE((SELECT SUM(pr."price_minor" * pr."quantity") FROM "Product" pr WHERE pr."bill_id" = a."bill_id"), 0) * a."percentage"::numeric / 100)
+            ELSE COALESCE(a."amount_minor", 0) END)
+          * (CASE WHEN a."type" = 'discount' THEN -1 ELSE 1 END) AS "amount"
+        FROM "BillAdjustment" a
+        JOIN filtered_bills fb ON fb."id" = a."bill_id"
+      ),
+      adjustment_shares AS (
+        SELECT i."participant_id", SUM(ba."amount" *
+          CASE WHEN ba."split_method" <> 'equal' AND bi."items" > 0 THEN i."items" / bi."items" ELSE 1.0 / bi."participants" END
+        ) AS "adjustments"
+        FROM bill_adjustments ba
+        JOIN item_shares i ON i."bill_id" = ba."bill_id"
+        JOIN bill_items bi ON bi."bill_id" = ba."bill_id"
+        GROUP BY i."participant_id"
+      )`;
+  }
+
+  // 6. What each participant owes across the bills: item shares plus allocated
+  // adjustments, by participant name
+  static async participantOwes(options, range, converter) {
+    const rows = await prisma.$queryRaw`
+      WITH ${this.splitCtes(options, range)}
+      SELECT pa."name", pa."currency", pa."day",
+        SUM(pa."items")::float8 AS "items", COALESCE(SUM(s."adjustments"), 0)::float8 AS "adjustments"
+      FROM item_shares pa
+      LEFT JOIN adjustment_shares s ON s."participant_id" = pa."participant_id"
+      WHERE ${this.participantFilter(options)}
+      GROUP BY 1, 2, 3`;
+    return this.convertAndSum(rows, converter, row => row.name, ['items', 'adjustments'])
+      .map(row => ({
+        participant: row.name,
+        amount: Money.fromMinorUnits(row.items + row.adjustments, converter.currency),
+        items_amount: Money.fromMinorUnits(row.items, converter.currency),
+        adjustments_amount: Money.fromMinorUnits(row.adjustments, converter.currency),
+      }))
+      .sort((a, b) => b.amount - a.amount);
+  }
+
+  // 7. Tax, tip, discounts and fees by type
+  static async adjustments(options, range, converter) {
+    const rows = await prisma.$queryRaw`
+      WITH ${this.splitCtes(options, range)}
+      SELECT "type", "currency", "day", SUM("amount")::float8 AS "total", COUNT(DISTINCT "bill_id")::int AS "bills"
+      FROM bill_adjustments
+      GROUP BY 1, 2, 3`;
+    const bills = new Map();
+    rows.forEach(row => bills.set(row.type, (bills.get(row.type) || 0) + row.bills));
+    return this.convertAndSum(rows, converter, row => row.type, ['total'])
+      .map(row => ({
+        type: row.type,
+        total: Money.fromMinorUnits(row.total, converter.currency),
+        bills: bills.get(row.type),
+      }));
+  }
+
+  static categoryFields(row) {
+    return { category_id: row.category_id, category: row.category, color: row.color };
+  }
+
+  // 8. Product lines per period and category. Adjustments aren't products and
+  // aren't counted; uncategorised products have a null category.
+  static async categories(options, range, converter) {
+    const rows = await prisma.$queryRaw`
+      SELECT ${this.periodColumn(options.granularity)} AS "period", c."id" AS "category_id", c."name" AS "category",
+        c."color", b."currency", date_trunc('day', b."created_at") AS "day",
+        SUM(pr."price_minor" * pr."quantity")::float8 AS "total"
+      FROM "Product" pr
+      JOIN "Bill" b ON b."id" = pr."bill_id"
+      LEFT JOIN "Category" c ON c."id" = pr."category_id"
+      WHERE ${this.billFilter(options, range)}
+      GROUP BY 1, 2, 3, 4, 5, 6`;
+    // Periods in order, the biggest categories first within each
+    return this.convertAndSum(rows, converter, row => `${row.period}|${row.category_id}`, ['total'])
+      .sort((a, b) => a.period.localeCompare(b.period) || b.total - a.total)
+      .map(row => ({
+        ...this.withPeriod(row.period, options.granularity),
+        ...this.categoryFields(row),
+        total: Money.fromMinorUnits(row.total, converter.currency),
+      }));
+  }
+
+  // 9. Each participant's product shares per category
+  static async categoryParticipants(options, range, converter) {
+    const rows = await prisma.$queryRaw`
+      SELECT pa."name" AS "participant", c."id" AS "category_id", c."name" AS "category", c."color",
+        b."currency", date_trunc('day', b."created_at") AS "day",
+        SUM(pr."price_minor" * pr."quantity" * pp."share_percentage" / 100.0)::float8 AS "amount"
+      FROM "ProductParticipant" pp
+      JOIN "Product" pr ON pr."id" = pp."product_id"
+      JOIN "Participant" pa ON pa."id" = pp."participant_id"
+      JOIN "Bill" b ON b."id" = pr."bill_id"
+      LEFT JOIN "Category" c ON c."id" = pr."category_id"
+      WHERE ${this.billFilter(options, range)} AND ${this.participantFilter(options)}
+      GROUP BY 1, 2, 3, 4, 5, 6`;
+    return this.convertAndSum(rows, converter, row => `${row.participant}|${row.category_id}`, ['amount'])
+      .sort((a, b) => a.participant.localeCompare(b.participant) || b.amount - a.amount)
+      .map(row => ({
+        participant: row.participant,
+        ...this.categoryFields(row),
+        amount: Money.fromMinorUnits(row.amount, converter.currency),
+      }));
+  }
+
+  // Percentage change of each number in a report object, or null from zero
+  static getChange(current, previous) {
+    const change = {};
+    for (const [field, value] of Object.entries(current)) {
+      if (typeof value !== 'number' || typeof previous[field] !== 'number') continue;
+      change[field] = previous[field] !== 0
+        ? Math.round(((value - previous[field]) / Math.abs(previous[field])) * 1000) / 10
+        : null;
+    }
+    return change;
+  }
+
+  // Run a report for the requested range and, with compare, for the comparison
+  // range too: { range, previous_range, current, previous, change? }
+  static async run(report, options) {
+    const converter = await CurrencyService.createConverter(options.currency);
+    const current = await report.call(this, options, options.range, converter);
+    if (!options.compare) return current;
+    const previousRange = this.getComparisonRange(options);
+    const previous = await report.call(this, options, previousRange, converter);
+    return {
+      range: options.range,
+      previous_range: previousRange,
+      current,
+      previous,
+      ...(!Array.isArray(current) && { change: this.getChange(current, previous) }),
+    };
+  }
+}
+
+module.exports = AnalyticsService;
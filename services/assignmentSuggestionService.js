@@ -0,0 +1,180 @@
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../prismaClient');
+const SplitService = require('./splitService');
+
+// How many of the owner's earlier bills are searched for matching products
+const HISTORY_BILLS = 100;
+// Each older bill counts this much less than the one after it, so habits that
+// changed recently win over long-standing ones
+const RECENCY_DECAY = 0.9;
+// Past bills sharing less of their participant set than this (Jaccard) are ignored
+const MIN_PARTICIPANT_OVERLAP = 0.5;
+
+class AssignmentSuggestionService {
+  // Product names as compared across bills: case, punctuation and spacing ignored,
+  // so "Beer 6-pk" matches "BEER 6PK"
+  static normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  }
+
+  // The current bill's participant a past participant stands for: the same group
+  // member, then the same linked account, then the same name (case-insensitive)
+  static matchParticipant(pastParticipant, participants) {
+    const byField = field => pastParticipant[field]
+      && participants.find(participant => participant[field] === pastParticipant[field]);
+    const name = pastParticipant.name.trim().toLowerCase();
+    return byField('group_member_id')
+      || byField('user_id')
+      || participants.find(participant => participant.name.trim().toLowerCase() === name)
+      || null;
+  }
+
+  // Suggested assignments for a bill's products, learned from the owner's earlier
+  // bills with (mostly) the same participants. Returns one entry per product that
+  // has history: { product_id, name, participant_ids, split_mode, splits,
+  // confidence, based_on, last_seen, matches_current }.
+  static async suggestForBill(bill) {
+    const history = await prisma.bill.findMany({
+      where: { user_id: bill.user_id, id: { not: bill.id }, created_at: { lt: bill.created_at } },
+      orderBy: { created_at: 'desc' },
+      take: HISTORY_BILLS,
+      include: {
+        participants: true,
+        products: { include: { productParticipants: true } },
+      },
+    });
+
+    // Past products by normalised name, each mapped onto this bill's participants
+    const observations = new Map();
+    history.forEach((pastBill, index) => {
+      const mapping = new Map();
+      for (const pastParticipant of pastBill.participants) {
+        const participant = this.matchParticipant(pastParticipant, bill.participants);
+        if (participant) mapping.set(pastParticipant.id, participant.id);
+      }
+      const shared = new Set(mapping.values()).size;
+      const overlap = shared / (bill.participants.length + pastBill.participants.length - shared);
+      if (overlap < MIN_PARTICIPANT_OVERLAP) return;
+
+      const weight = overlap * RECENCY_DECAY ** index;
+      for (const product of pastBill.products) {
+        const shares = product.productParticipants;
+        // Only assignments that can be repeated on this bill are learned from
+        const participantIds = shares.map(share => mapping.get(share.participant_id));
+        if (shares.length === 0 || participantIds.some(id => !id) || new Set(participantIds).size !== shares.length) continue;
+        const key = this.normalizeName(product.name);
+        observations.set(key, [...(observations.get(key) || []), {
+          weight,
+          created_at: pastBill.created_at,
+          split_mode: product.split_mode,
+          shares: shares.map((share, shareIndex) => ({ ...share, participant_id: participantIds[shareIndex] })),
+        }]);
+      }
+    });
+
+    return bill.products
+      .map(product => this.suggestForProduct(product, observations.get(this.normalizeName(product.name)) || []))
+      .filter(Boolean);
+  }
+
+  // The participant set with the most weight behind it, split the way it was
+  // split most recently. Confidence (0-1) is that set's share of the weight,
+  // scaled down while there are only a few bills behind it.
+  static suggestForProduct(product, observations) {
+    if (observations.length === 0) return null;
+    const groups = new Map();
+    for (const observation of observations) {
+      const key = observation.shares.map(share => share.participant_id).sort().join(',');
+      const group = groups.get(key) || { weight: 0, observations: [] };
+      group.weight += observation.weight;
+      group.observations.push(observation);
+      groups.set(key, group);
+    }
+    const best = [...groups.values()].sort((a, b) => b.weight - a.weight)[0];
+    const totalWeight = observations.reduce((total, observation) => total + observation.weight, 0);
+    const support = 1 - 0.5 ** best.observations.length;
+    // Observations are in history order, newest first
+    const latest = best.observations[0];
+    const participantIds = latest.shares.map(share => share.participant_id);
+    const current = product.productParticipants.map(share => share.participant_id).sort().join(',');
+
+    return {
+      product_id: product.id,
+      name: product.name,
+      participant_ids: participantIds,
+      ...this.toSplits(latest),
+      confidence: Math.round((best.weight / totalWeight) * support * 100) / 100,
+      based_on: best.observations.length,
+      last_seen: latest.created_at,
+      matches_current: current === [...participantIds].sort().join(','),
+    };
+  }
+
+  // A past split as product split input. Exact amounts don't carry over to a
+  // product with a different price, so they become percentages.
+  static toSplits(observation) {
+    const { split_mode: splitMode, shares } = observation;
+    const hasValues = shares.every(share => share.share_value !== null);
+    if ((splitMode === 'percentage' || splitMode === 'shares') && hasValues) {
+      return {
+        split_mode: splitMode,
+        splits: shares.map(share => ({ participant_id: share.participant_id, value: share.share_value })),
+      };
+    }
+    if (splitMode !== 'equal') {
+      const values = shares.map(share => Math.round(share.share_percentage * 100) / 100);
+      // Rounding leftovers go to the first participant so the percentages add up to 100
+      values[0] = Math.round((100 - values.slice(1).reduce((total, value) => total + value, 0)) * 100) / 100;
+      return {
+        split_mode: 'percentage',
+        splits: shares.map((share, index) => ({ participant_id: share.participant_id, value: values[index] })),
+      };
+    }
+    return {
+      split_mode: 'equal',
+      splits: shares.map(share => ({ participant_id: share.participant_id })),
+    };
+  }
+
+  // Replace the assignments of the suggested products in one transaction.
+  // Returns { applied: [product ids] } or { error } if a suggestion no longer resolves.
+  static async acceptSuggestions(bill, suggestions) {
+    const resolved = [];
+    for (const suggestion of suggestions) {
+      const product = bill.products.find(candidate => candidate.id === suggestion.product_id);
+      const split = SplitService.resolveProductSplit(
+        suggestion.split_mode,
+        suggestion.splits,
+        product.price_minor * product.quantity,
+        bill.currency
+      );
+      if (split.error) {
+        return { error: `${product.name}: ${split.error}` };
+      }
+      resolved.push({ product, splitMode: suggestion.split_mode, shares: split.shares });
+    }
+
+    await prisma.$transaction(async tx => {
+      for (const { product, splitMode, shares } of resolved) {
+        await tx.productParticipant.deleteMany({ where: { product_id: product.id } });
+        await tx.product.update({
+          where: { id: product.id },
+          data: {
+            split_mode: splitMode,
+            productParticipants: {
+              create: shares.map(share => ({
+                id: uuidv4(),
+                participant_id: share.participant_id,
+                share_percentage: share.share_percentage,
+                share_value: share.share_value,
+              })),
+            },
+          },
+        });
+      }
+    });
+    return { applied: resolved.map(({ product }) => product.id) };
+  }
+}
+
+module.exports = AssignmentSuggestionService;
@@ -0,0 +1,55 @@
+const prisma = require('../prismaClient');
+const BudgetService = require('./budgetService');
+
+const INTERVAL_MS = Number(process.env.BUDGET_ALERTS_INTERVAL_MS) || 15 * 60 * 1000;
+
+// Checks every budget's spending this month against its alert thresholds
+class BudgetAlertJob {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.run().catch(error => console.error('Budget alert run failed:', error));
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('Budget alert run failed:', error));
+    }, INTERVAL_MS);
+    this.timer.unref();
+    console.log(`Budget alert job started (every ${INTERVAL_MS / 1000}s)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run(now = new Date()) {
+    // Skip overlapping runs if a previous one is still going
+    if (this.running) return null;
+    this.running = true;
+    try {
+      const budgets = await prisma.budget.findMany({ where: { thresholds: { isEmpty: false } } });
+      const getConverter = BudgetService.converterCache();
+      let alerted = 0;
+      for (const budget of budgets) {
+        try {
+          const thresholds = await BudgetService.checkAlerts(budget, await getConverter(budget.currency), now);
+          if (thresholds.length > 0) alerted += 1;
+        } catch (error) {
+          // e.g. a bill in a currency with no stored rate; retried on the next run
+          console.error(`Budget ${budget.id} alert check failed:`, error);
+        }
+      }
+      if (alerted > 0) {
+        console.log(`Budget alerts: ${alerted} budget(s) crossed a threshold`);
+      }
+      return { checked: budgets.length, alerted };
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new BudgetAlertJob();
@@ -0,0 +1,148 @@
+const prisma = require('../prismaClient');
+const CurrencyService = require('./currencyService');
+const notificationService = require('./notificationService');
+const Money = require('../utils/money');
+
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+class BudgetService {
+  // "YYYY-MM" of a date. Budgets run on UTC calendar months.
+  static monthOf(date) {
+    return date.toISOString().slice(0, 7);
+  }
+
+  static isValidMonth(month) {
+    return typeof month === 'string' && MONTH_REGEX.test(month);
+  }
+
+  // Start (inclusive) and end (exclusive) of a "YYYY-MM" month
+  static monthRange(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return { start: new Date(Date.UTC(year, monthNumber - 1, 1)), end: new Date(Date.UTC(year, monthNumber, 1)) };
+  }
+
+  // Alert thresholds: whole percentages of the budget, 1-1000. Returns
+  // { thresholds } (deduplicated and ascending) or { error }.
+  static parseThresholds(thresholds) {
+    if (!Array.isArray(thresholds) || thresholds.some(t => !Number.isInteger(t) || t < 1 || t > 1000)) {
+      return { error: 'Thresholds must be an array of whole percentages between 1 and 1000' };
+    }
+    return { thresholds: [...new Set(thresholds)].sort((a, b) => a - b) };
+  }
+
+  // Converters by currency, each loaded once, for checking several budgets
+  static converterCache() {
+    const converters = new Map();
+    return currency => {
+      if (!converters.has(currency)) converters.set(currency, CurrencyService.createConverter(currency));
+      return converters.get(currency);
+    };
+  }
+
+  // What counts against a budget in a month, in minor units of its currency:
+  // the total of the owner's bills (only the group's, for a group budget), or
+  // for a category budget only those bills' products in the category. Bills in
+  // other currencies are converted at the rate on the bill's date.
+  static async getSpending(budget, month, converter) {
+    const { start, end } = this.monthRange(month);
+    const billWhere = {
+      user_id: budget.user_id,
+      created_at: { gte: start, lt: end },
+      ...(budget.group_id && { group_id: budget.group_id }),
+    };
+    if (!budget.category_id) {
+      const bills = await prisma.bill.findMany({
+        where: billWhere,
+        select: { total_amount_minor: true, currency: true, created_at: true },
+      });
+      return {
+        spentMinor: Money.sum(bills.map(bill => converter.convertMinor(bill.total_amount_minor, bill.currency, bill.created_at))),
+        billCount: bills.length,
+      };
+    }
+    const products = await prisma.product.findMany({
+      where: { category_id: budget.category_id, bill: billWhere },
+      select: { price_minor: true, quantity: true, bill: { select: { id: true, currency: true, created_at: true } } },
+    });
+    return {
+      spentMinor: Money.sum(products.map(product => converter.convertMinor(
+        product.price_minor * product.quantity,
+        product.bill.currency,
+        product.bill.created_at
+      ))),
+      billCount: new Set(products.map(product => product.bill.id)).size,
+    };
+  }
+
+  static getPercent(budget, spentMinor) {
+    return (spentMinor / budget.amount_minor) * 100;
+  }
+
+  // A month's spending against the budget, with the thresholds reached and when
+  // each was alerted
+  static async getProgress(budget, month, converter) {
+    const [{ spentMinor, billCount }, alerts] = await Promise.all([
+      this.getSpending(budget, month, converter),
+      prisma.budgetAlert.findMany({ where: { budget_id: budget.id, month } }),
+    ]);
+    const percent = this.getPercent(budget, spentMinor);
+    return {
+      month,
+      currency: budget.currency,
+      amount: Money.fromMinorUnits(budget.amount_minor, budget.currency),
+      spent: Money.fromMinorUnits(spentMinor, budget.currency),
+      remaining: Money.fromMinorUnits(budget.amount_minor - spentMinor, budget.currency),
+      percent: Math.round(percent * 10) / 10,
+      over_budget: spentMinor > budget.amount_minor,
+      bill_count: billCount,
+      thresholds: budget.thresholds.map(threshold => {
+        const alert = alerts.find(candidate => candidate.threshold === threshold);
+        return { threshold, reached: percent >= threshold, alerted_at: alert ? alert.created_at : null };
+      }),
+    };
+  }
+
+  // Alert on the thresholds a budget has crossed this month that haven't been
+  // alerted yet. Each is recorded before the email goes out, so it's sent once
+  // even if the check runs on several servers; thresholds crossed together share
+  // one email about the highest. Alerts for thresholds spending has since dropped
+  // back under (a bill deleted, the budget raised) are forgotten, so they can go
+  // out again. Returns the thresholds alerted.
+  static async checkAlerts(budget, converter, now = new Date()) {
+    const month = this.monthOf(now);
+    const { spentMinor } = await this.getSpending(budget, month, converter);
+    const percent = this.getPercent(budget, spentMinor);
+
+    await prisma.budgetAlert.deleteMany({ where: { budget_id: budget.id, month, threshold: { gt: percent } } });
+    const alerted = await prisma.budgetAlert.findMany({ where: { budget_id: budget.id, month }, select: { threshold: true } });
+    const crossed = budget.thresholds.filter(threshold => percent >= threshold
+      && !alerted.some(alert => alert.threshold === threshold));
+    if (crossed.length === 0) return [];
+
+    const { count } = await prisma.budgetAlert.createMany({
+      data: crossed.map(threshold => ({ budget_id: budget.id, month, threshold, spent_minor: spentMinor })),
+      skipDuplicates: true,
+    });
+    if (count === 0) return [];
+
+    try {
+      await notificationService.sendBudgetAlertEmail(budget.user_id, {
+        budgetId: budget.id,
+        budgetName: budget.name,
+        threshold: Math.max(...crossed),
+        percent: Math.round(percent),
+        spent: Money.formatAmount(spentMinor, budget.currency),
+        amount: Money.formatAmount(budget.amount_minor, budget.currency),
+        remaining: Money.formatAmount(Math.max(budget.amount_minor - spentMinor, 0), budget.currency),
+        currency: budget.currency,
+        month,
+      });
+    } catch (error) {
+      // Not retried: a failing mail server shouldn't turn into repeated alerts
+      console.error(`Failed to send budget alert for budget ${budget.id}:`, error);
+    }
+    return crossed;
+  }
+}
+
+module.exports = BudgetService;
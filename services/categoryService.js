@@ -0,0 +1,149 @@
+const prisma = require('../prismaClient');
+const ProductCatalogService = require('./productCatalogService');
+
+// Products whose category wasn't set by hand, and so may be recategorised.
+// (A plain `not: 'manual'` would skip products with no source at all.)
+const NOT_MANUAL = { OR: [{ category_source: null }, { category_source: { not: 'manual' } }] };
+
+class CategoryService {
+  // The built-in taxonomy plus the user's own categories
+  static visibleTo(userId) {
+    return { OR: [{ user_id: null }, { user_id: userId }] };
+  }
+
+  static listCategories(userId) {
+    return prisma.category.findMany({
+      where: this.visibleTo(userId),
+      orderBy: [{ user_id: { sort: 'asc', nulls: 'first' } }, { name: 'asc' }],
+    });
+  }
+
+  // A category the user can assign, or null
+  static findCategory(userId, id) {
+    return prisma.category.findFirst({ where: { id, ...this.visibleTo(userId) } });
+  }
+
+  // "Baby stuff!" -> "baby-stuff"
+  static slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  // Keyword rules, most specific first: longer keywords win ("peanut butter"
+  // over "butter"), and the user's own categories win ties with built-in ones
+  static buildRules(categories) {
+    return categories
+      .flatMap(category => category.keywords.map(keyword => ({
+        key: ProductCatalogService.matchKey(keyword),
+        category_id: category.id,
+        own: category.user_id !== null,
+      })))
+      .filter(rule => rule.key)
+      .sort((a, b) => b.key.length - a.key.length || Number(b.own) - Number(a.own));
+  }
+
+  // Category id of the first rule whose keyword is a whole word (or phrase) of
+  // the name, compared as catalogue match keys so "ORG BANANAS" finds "banana"
+  static matchRules(name, rules) {
+    const padded = ` ${ProductCatalogService.matchKey(name)} `;
+    const rule = rules.find(candidate => padded.includes(` ${candidate.key} `));
+    return rule ? rule.category_id : null;
+  }
+
+  // Catalogue and category fields for new products, in order:
+  // { catalog_product_id, category_id, category_source }. A product takes its
+  // catalogue entry's category, which is where the user's corrections are kept,
+  // else the first matching keyword rule.
+  static async resolveProducts(userId, names) {
+    const catalogProductIds = await ProductCatalogService.linkNames(userId, names);
+    const [entries, categories] = await Promise.all([
+      prisma.catalogProduct.findMany({
+        where: { id: { in: catalogProductIds.filter(Boolean) } },
+        select: { id: true, category_id: true },
+      }),
+      this.listCategories(userId),
+    ]);
+    const categoryByEntry = new Map(entries.map(entry => [entry.id, entry.category_id]));
+    const rules = this.buildRules(categories);
+
+    return names.map((name, index) => {
+      const catalogProductId = catalogProductIds[index];
+      const entryCategoryId = categoryByEntry.get(catalogProductId);
+      if (entryCategoryId) {
+        return { catalog_product_id: catalogProductId, category_id: entryCategoryId, category_source: 'catalog' };
+      }
+      const ruleCategoryId = this.matchRules(name, rules);
+      return {
+        catalog_product_id: catalogProductId,
+        category_id: ruleCategoryId,
+        category_source: ruleCategoryId ? 'rule' : null,
+      };
+    });
+  }
+
+  // Fields for one new product (see resolveProducts)
+  static async resolveProduct(userId, name) {
+    const [fields] = await this.resolveProducts(userId, [name]);
+    return fields;
+  }
+
+  // Set a catalogue entry's category and pass it on to the entry's products,
+  // except those categorised by hand. Clearing it only uncategorises the
+  // products that had it from the entry.
+  static async setEntryCategory(catalogProductId, categoryId) {
+    await prisma.$transaction([
+      prisma.catalogProduct.update({ where: { id: catalogProductId }, data: { category_id: categoryId } }),
+      prisma.product.updateMany({
+        where: categoryId
+          ? { catalog_product_id: catalogProductId, ...NOT_MANUAL }
+          : { catalog_product_id: catalogProductId, category_source: 'catalog' },
+        data: { category_id: categoryId, category_source: categoryId ? 'catalog' : null },
+      }),
+    ]);
+  }
+
+  // A category the user set on a product by hand. It's remembered on the
+  // product's catalogue entry, so the same product is categorised that way on
+  // every bill from now on. Clearing a category only affects the one product.
+  static async learnCorrection(product, categoryId) {
+    if (categoryId && product.catalog_product_id) {
+      await this.setEntryCategory(product.catalog_product_id, categoryId);
+    }
+  }
+
+  // Categorise the user's products that have no category and weren't cleared
+  // by hand, linking any not yet in the catalogue first. Returns how many were
+  // categorised.
+  static async categoriseProducts(userId) {
+    await ProductCatalogService.linkUnlinkedProducts(userId);
+    const [products, categories] = await Promise.all([
+      prisma.product.findMany({
+        where: { category_id: null, category_source: null, bill: { user_id: userId } },
+        select: { id: true, name: true, catalog_product: { select: { category_id: true } } },
+      }),
+      this.listCategories(userId),
+    ]);
+    const rules = this.buildRules(categories);
+
+    // One update per category and source
+    const groups = new Map();
+    for (const product of products) {
+      const entryCategoryId = product.catalog_product && product.catalog_product.category_id;
+      const categoryId = entryCategoryId || this.matchRules(product.name, rules);
+      if (!categoryId) continue;
+      const key = `${categoryId}:${entryCategoryId ? 'catalog' : 'rule'}`;
+      groups.set(key, [...(groups.get(key) || []), product.id]);
+    }
+    let categorised = 0;
+    for (const [key, productIds] of groups) {
+      const [categoryId, source] = key.split(':');
+      await prisma.product.updateMany({
+        where: { id: { in: productIds } },
+        data: { category_id: categoryId, category_source: source },
+      });
+      categorised += productIds.length;
+    }
+    return categorised;
+  }
+}
+
+module.exports = CategoryService;
@@ -0,0 +1,123 @@
+const prisma = require('../prismaClient');
+const Money = require('../utils/money');
+
+// Rates can be stored against any base; conversions without a direct or inverse
+// rate are triangulated through this currency
+const CROSS_CURRENCY = process.env.EXCHANGE_RATE_CROSS_CURRENCY || 'USD';
+
+class MissingExchangeRateError extends Error {
+  constructor(from, to, date) {
+    super(`No ${from} to ${to} exchange rate on or before ${date.toISOString().slice(0, 10)}`);
+    this.name = 'MissingExchangeRateError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+class CurrencyService {
+  // ISO 4217 style three-letter code
+  static isValidCurrency(code) {
+    return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+  }
+
+  // Load the stored rates once and return a synchronous converter into `toCurrency`.
+  // Uses the latest rate effective on or before the given date. Every conversion
+  // goes through a rate quoted against `toCurrency` or the cross currency, so only
+  // those are loaded; pass `fromCurrencies` when the source currencies are known
+  // to narrow that to the rates between them.
+  static async createConverter(toCurrency, fromCurrencies = null) {
+    const involved = [toCurrency, CROSS_CURRENCY];
+    const where = fromCurrencies
+      ? {
+        base_currency: { in: [...involved, ...fromCurrencies] },
+        quote_currency: { in: [...involved, ...fromCurrencies] },
+      }
+      : { OR: [{ base_currency: { in: involved } }, { quote_currency: { in: involved } }] };
+    const rates = await prisma.exchangeRate.findMany({
+      where,
+      orderBy: { effective_date: 'desc' },
+    });
+
+    // "BASE:QUOTE" -> rates for the pair, latest first
+    const byPair = new Map();
+    for (const rate of rates) {
+      const key = `${rate.base_currency}:${rate.quote_currency}`;
+      if (!byPair.has(key)) byPair.set(key, []);
+      byPair.get(key).push(rate);
+    }
+
+    // Latest rate for the pair effective on or before `date`, by binary search
+    const latestRate = (base, quote, date) => {
+      const pairRates = byPair.get(`${base}:${quote}`);
+      if (!pairRates) return null;
+      let low = 0;
+      let high = pairRates.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (pairRates[mid].effective_date > date) low = mid + 1;
+        else high = mid;
+      }
+      return pairRates[low] || null;
+    };
+
+    const findRate = (from, to, date) => {
+      if (from === to) return 1;
+      const direct = latestRate(from, to, date);
+      const inverse = latestRate(to, from, date);
+      if (direct && (!inverse || direct.effective_date >= inverse.effective_date)) return direct.rate;
+      if (inverse) return 1 / inverse.rate;
+      return null;
+    };
+
+    const getRate = (from, date = new Date()) => {
+      const direct = findRate(from, toCurrency, date);
+      if (direct !== null) return direct;
+      const fromCross = findRate(from, CROSS_CURRENCY, date);
+      const crossTo = findRate(CROSS_CURRENCY, toCurrency, date);
+      if (fromCross !== null && crossTo !== null) return fromCross * crossTo;
+      throw new MissingExchangeRateError(from, toCurrency, date);
+    };
+
+    return {
+      currency: toCurrency,
+      getRate,
+      convert: (amount, from, date = new Date()) => amount * getRate(from, date),
+      // Minor units of `from` to minor units of the target currency, rounded once
+      convertMinor: (amountMinor, from, date = new Date()) => Money.toMinorUnits(
+        Money.fromMinorUnits(amountMinor, from) * getRate(from, date),
+        toCurrency
+      ),
+    };
+  }
+
+  // Insert or replace rates from an import payload
+  static async importRates(rates, source = null) {
+    let imported = 0;
+    for (const rate of rates) {
+      const effectiveDate = new Date(rate.effective_date);
+      await prisma.exchangeRate.upsert({
+        where: {
+          base_currency_quote_currency_effective_date: {
+            base_currency: rate.base_currency,
+            quote_currency: rate.quote_currency,
+            effective_date: effectiveDate,
+          },
+        },
+        update: { rate: rate.rate, source: rate.source || source },
+        create: {
+          base_currency: rate.base_currency,
+          quote_currency: rate.quote_currency,
+          rate: rate.rate,
+          effective_date: effectiveDate,
+          source: rate.source || source,
+        },
+      });
+      imported += 1;
+    }
+    return imported;
+  }
+}
+
+CurrencyService.MissingExchangeRateError = MissingExchangeRateError;
+
+module.exports = CurrencyService;
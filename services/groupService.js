@@ -0,0 +1,101 @@
+const prisma = require('../prismaClient');
+const SplitService = require('./splitService');
+
+class GroupService {
+  // Pair a bill's participants with group members: explicit links first, then by
+  // case-insensitive name. Returns the links plus any participants left unmatched.
+  static matchParticipants(participants, members, memberLinks = []) {
+    const memberIds = new Set(members.map(m => m.id));
+    const membersByName = {};
+    members.forEach(member => {
+      membersByName[member.name.trim().toLowerCase()] = member.id;
+    });
+    const explicit = {};
+    memberLinks.forEach(link => {
+      explicit[link.participant_id] = link.member_id;
+    });
+
+    const links = [];
+    const unmatched = [];
+    participants.forEach(participant => {
+      const memberId = explicit[participant.id] || membersByName[participant.name.trim().toLowerCase()];
+      if (memberId && memberIds.has(memberId)) {
+        links.push({ participant_id: participant.id, member_id: memberId });
+      } else {
+        unmatched.push(participant.name);
+      }
+    });
+    return { links, unmatched };
+  }
+
+  // Move a bill into a group and link its participants to members
+  static async attachBill(billId, groupId, links) {
+    await prisma.$transaction([
+      prisma.bill.update({
+        where: { id: billId },
+        data: { group_id: groupId },
+      }),
+      ...links.map(link => prisma.participant.update({
+        where: { id: link.participant_id },
+        data: { group_member_id: link.member_id },
+      })),
+    ]);
+  }
+
+  static async detachBill(billId) {
+    await prisma.$transaction([
+      prisma.participant.updateMany({
+        where: { bill_id: billId },
+        data: { group_member_id: null },
+      }),
+      prisma.bill.update({
+        where: { id: billId },
+        data: { group_id: null },
+      }),
+    ]);
+  }
+
+  // Net position per member across every bill in the group, in the group currency.
+  // Each bill's paid/received/owed amounts are converted at the rate on the bill's
+  // date. Positive balances are owed money.
+  static getGroupBalances(members, bills, converter) {
+    const totals = {};
+    members.forEach(member => {
+      totals[member.id] = {
+        member_id: member.id,
+        name: member.name,
+        color: member.color,
+        paid: 0,
+        received: 0,
+        owed: 0,
+        bill_count: 0,
+      };
+    });
+
+    for (const bill of bills) {
+      const { participantTotals } = SplitService.getBillTotals(bill.participants, bill.products, bill.adjustments);
+      const balances = SplitService.getBalances(bill.participants, participantTotals, bill.payers, bill.payments);
+      const toGroupCurrency = amountMinor => converter.convertMinor(amountMinor, bill.currency, bill.created_at);
+      const membersByParticipant = {};
+      bill.participants.forEach(p => {
+        membersByParticipant[p.id] = p.group_member_id;
+      });
+
+      balances.forEach(balance => {
+        const memberTotals = totals[membersByParticipant[balance.participant_id]];
+        if (!memberTotals) return;
+        memberTotals.paid += toGroupCurrency(balance.paid);
+        memberTotals.received += toGroupCurrency(balance.received);
+        memberTotals.owed += toGroupCurrency(balance.owed);
+        memberTotals.bill_count += 1;
+      });
+    }
+
+    return Object.values(totals).map(memberTotals => ({
+      ...memberTotals,
+      balance: memberTotals.paid - memberTotals.received - memberTotals.owed,
+    }));
+  }
+}
+
+module.exports = GroupService;
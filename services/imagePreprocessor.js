@@ -0,0 +1,254 @@
+const path = require('path');
+const sharp = require('sharp');
+
+// Steps run in this order. Each can be switched off per request; the adaptive
+// threshold always works on a grayscale copy, whatever `grayscale` says.
+const DEFAULT_OPTIONS = {
+  autoRotate: true,  // rotate the pixels upright by the EXIF orientation phones record
+  grayscale: true,
+  crop: true,        // crop to the bright receipt paper, dropping the table around it
+  deskew: true,      // straighten text lines, up to MAX_SKEW_DEGREES either way
+  normalize: true,   // stretch contrast to the full range (helps low-light photos)
+  threshold: true,   // adaptive (local mean) threshold to black text on white
+  maxDimension: 2500, // downscale huge photos first; Tesseract gains nothing above this
+};
+
+// Analysis (crop box, skew angle) runs on a small copy of the image
+const ANALYSIS_WIDTH = 600;
+const MAX_SKEW_DEGREES = 10;
+const SKEW_STEP_DEGREES = 0.5;
+// Bradley-Roth adaptive threshold: a pixel is ink if it's this much darker than
+// the mean of its neighbourhood (window = image width / 8)
+const THRESHOLD_SENSITIVITY = 0.15;
+
+class ImagePreprocessor {
+  // Merge request options over the defaults. `false` disables every step.
+  static resolveOptions(options) {
+    if (options === false) {
+      return Object.fromEntries(Object.keys(DEFAULT_OPTIONS).map(key => [key, key === 'maxDimension' ? null : false]));
+    }
+    const resolved = { ...DEFAULT_OPTIONS };
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+      if (options && options[key] !== undefined) resolved[key] = options[key];
+    }
+    return resolved;
+  }
+
+  static isEnabled(options) {
+    return Object.entries(options).some(([key, value]) => key !== 'maxDimension' && value);
+  }
+
+  // Run the enabled steps and write the result next to the original as a PNG.
+  // Returns the output path and a per-step report for debugging OCR quality.
+  static async process(inputPath, requestOptions) {
+    const options = this.resolveOptions(requestOptions);
+    const steps = [];
+
+    let pipeline = sharp(inputPath);
+    if (options.autoRotate) {
+      pipeline = pipeline.rotate();
+      steps.push({ step: 'autoRotate' });
+    }
+    if (options.maxDimension) {
+      pipeline = pipeline.resize({
+        width: options.maxDimension,
+        height: options.maxDimension,
+        fit: 'inside',
+        withoutEnlargement: true,
+      });
+    }
+    if (options.grayscale) {
+      pipeline = pipeline.grayscale();
+      steps.push({ step: 'grayscale' });
+    }
+    let image = await pipeline.png().toBuffer();
+
+    if (options.crop) {
+      const box = await this.findReceiptBounds(image);
+      if (box) {
+        image = await sharp(image).extract(box).png().toBuffer();
+      }
+      steps.push({ step: 'crop', box });
+    }
+
+    if (options.deskew) {
+      const angle = await this.detectSkew(image);
+      if (angle !== 0) {
+        image = await sharp(image).rotate(-angle, { background: '#ffffff' }).png().toBuffer();
+      }
+      steps.push({ step: 'deskew', angle });
+    }
+
+    if (options.normalize) {
+      image = await sharp(image).normalise().png().toBuffer();
+      steps.push({ step: 'normalize' });
+    }
+
+    if (options.threshold) {
+      image = await this.adaptiveThreshold(image);
+      steps.push({ step: 'threshold' });
+    }
+
+    const parsed = path.parse(inputPath);
+    const outputPath = path.join(parsed.dir, `${parsed.name}-processed.png`);
+    await sharp(image).toFile(outputPath);
+    return { outputPath, options, steps };
+  }
+
+  // Grayscale pixels of a downscaled copy, for analysis
+  static async getAnalysisPixels(image) {
+    const { data, info } = await sharp(image)
+      .grayscale()
+      .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  }
+
+  // Otsu's method: the gray level that best separates dark and light pixels
+  static otsuThreshold(data) {
+    const histogram = new Array(256).fill(0);
+    for (const value of data) histogram[value] += 1;
+    const total = data.length;
+    let sumAll = 0;
+    for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = 0;
+    let threshold = 127;
+    for (let i = 0; i < 256; i++) {
+      weightBackground += histogram[i];
+      if (weightBackground === 0) continue;
+      const weightForeground = total - weightBackground;
+      if (weightForeground === 0) break;
+      sumBackground += i * histogram[i];
+      const meanBackground = sumBackground / weightBackground;
+      const meanForeground = (sumAll - sumBackground) / weightForeground;
+      const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+      if (between > best) {
+        best = between;
+        threshold = i;
+      }
+    }
+    return threshold;
+  }
+
+  // Bounding box of the rows/columns that are mostly bright paper, in full-size
+  // pixel coordinates, or null when the paper fills the frame anyway
+  static async findReceiptBounds(image) {
+    const { data, width, height } = await this.getAnalysisPixels(image);
+    const { width: fullWidth, height: fullHeight } = await sharp(image).metadata();
+    const threshold = this.otsuThreshold(data);
+
+    const rowBright = new Array(height).fill(0);
+    const colBright = new Array(width).fill(0);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[y * width + x] > threshold) {
+          rowBright[y] += 1;
+          colBright[x] += 1;
+        }
+      }
+    }
+    // Paper rows/columns are at least 40% bright; text never gets a whole line dark
+    const rows = rowBright.map((count, y) => (count / width >= 0.4 ? y : -1)).filter(y => y >= 0);
+    const cols = colBright.map((count, x) => (count / height >= 0.4 ? x : -1)).filter(x => x >= 0);
+    if (rows.length === 0 || cols.length === 0) return null;
+
+    const scaleX = fullWidth / width;
+    const scaleY = fullHeight / height;
+    const margin = 2;
+    const left = Math.max(0, Math.floor((cols[0] - margin) * scaleX));
+    const top = Math.max(0, Math.floor((rows[0] - margin) * scaleY));
+    const right = Math.min(fullWidth, Math.ceil((cols[cols.length - 1] + 1 + margin) * scaleX));
+    const bottom = Math.min(fullHeight, Math.ceil((rows[rows.length - 1] + 1 + margin) * scaleY));
+    const box = { left, top, width: right - left, height: bottom - top };
+
+    // Not worth a re-encode if it would only shave a few pixels, or if the box
+    // is implausibly small (probably a misdetection)
+    const area = box.width * box.height;
+    if (area > 0.95 * fullWidth * fullHeight || area < 0.1 * fullWidth * fullHeight) {
+      return null;
+    }
+    return box;
+  }
+
+  // Projection-profile deskew: the angle at which dark pixels bunch into the
+  // fewest, densest rows (i.e. the text lines are horizontal). Returns degrees,
+  // positive for clockwise skew.
+  static async detectSkew(image) {
+    const { data, width, height } = await this.getAnalysisPixels(image);
+    const threshold = this.otsuThreshold(data);
+    const ink = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[y * width + x] <= threshold) ink.push(x, y);
+      }
+    }
+    if (ink.length === 0) return 0;
+
+    const scoreAngle = degrees => {
+      const radians = (degrees * Math.PI) / 180;
+      const sin = Math.sin(radians);
+      const cos = Math.cos(radians);
+      const offset = width;
+      const rows = new Float64Array(height + 2 * width);
+      for (let i = 0; i < ink.length; i += 2) {
+        const row = Math.round(ink[i + 1] * cos - ink[i] * sin) + offset;
+        if (row >= 0 && row < rows.length) rows[row] += 1;
+      }
+      let score = 0;
+      for (let i = 1; i < rows.length; i++) {
+        score += (rows[i] - rows[i - 1]) ** 2;
+      }
+      return score;
+    };
+
+    let bestAngle = 0;
+    let bestScore = scoreAngle(0);
+    for (let angle = -MAX_SKEW_DEGREES; angle <= MAX_SKEW_DEGREES; angle += SKEW_STEP_DEGREES) {
+      const score = scoreAngle(angle);
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+    return bestAngle;
+  }
+
+  // Bradley-Roth adaptive threshold using an integral image, so uneven lighting
+  // across the receipt doesn't wipe out faint text in the shadows
+  static async adaptiveThreshold(image) {
+    const { data, info } = await sharp(image).grayscale().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 1; y <= height; y++) {
+      let rowSum = 0;
+      for (let x = 1; x <= width; x++) {
+        rowSum += data[(y - 1) * width + (x - 1)];
+        integral[y * (width + 1) + x] = integral[(y - 1) * (width + 1) + x] + rowSum;
+      }
+    }
+
+    const half = Math.max(1, Math.floor(width / 16));
+    const output = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      const y1 = Math.max(0, y - half);
+      const y2 = Math.min(height, y + half + 1);
+      for (let x = 0; x < width; x++) {
+        const x1 = Math.max(0, x - half);
+        const x2 = Math.min(width, x + half + 1);
+        const count = (x2 - x1) * (y2 - y1);
+        const sum = integral[y2 * (width + 1) + x2] - integral[y1 * (width + 1) + x2]
+          - integral[y2 * (width + 1) + x1] + integral[y1 * (width + 1) + x1];
+        output[y * width + x] = data[y * width + x] * count < sum * (1 - THRESHOLD_SENSITIVITY) ? 0 : 255;
+      }
+    }
+    return sharp(output, { raw: { width, height, channels: 1 } }).png().toBuffer();
+  }
+}
+
+ImagePreprocessor.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = ImagePreprocessor;
@@ -0,0 +1,93 @@
+const prisma = require('../prismaClient');
+const { generateToken, hashToken, daysFromNow } = require('../utils/tokens');
+
+const INVITE_EXPIRY_DAYS = 30;
+
+class InviteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InviteError';
+    this.status = status;
+  }
+}
+
+class InviteService {
+  static getInviteUrl(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invites/${token}`;
+  }
+
+  // Invite a participant by email. Any earlier pending invite for the same
+  // participant is revoked so only the newest link works.
+  static async createInvite(participantId, email) {
+    const token = generateToken();
+    const [, invite] = await prisma.$transaction([
+      prisma.participantInvite.updateMany({
+        where: { participant_id: participantId, accepted_at: null, revoked_at: null },
+        data: { revoked_at: new Date() },
+      }),
+      prisma.participantInvite.create({
+        data: {
+          participant_id: participantId,
+          email: email.trim().toLowerCase(),
+          token_hash: hashToken(token),
+          expires_at: daysFromNow(INVITE_EXPIRY_DAYS),
+        },
+      }),
+    ]);
+    return { invite, token, url: this.getInviteUrl(token) };
+  }
+
+  // Look up a pending (unaccepted, unrevoked, unexpired) invite by its raw token
+  static async findPendingInvite(token) {
+    if (typeof token !== 'string' || !token) return null;
+    const invite = await prisma.participantInvite.findUnique({
+      where: { token_hash: hashToken(token) },
+      include: { participant: { include: { bill: { include: { user: true } } } } },
+    });
+    if (!invite || invite.accepted_at || invite.revoked_at || invite.expires_at <= new Date()) {
+      return null;
+    }
+    return invite;
+  }
+
+  // Link the invited participant to the accepting user's account. Only the
+  // account with the invited email address can accept.
+  static async acceptInvite(token, user) {
+    const userId = user.id;
+    const invite = await this.findPendingInvite(token);
+    if (!invite) {
+      throw new InviteError('Invite not found or expired', 404);
+    }
+    if (String(user.email).trim().toLowerCase() !== invite.email) {
+      throw new InviteError('This invite was sent to a different email address', 403);
+    }
+    const { participant } = invite;
+    if (participant.user_id && participant.user_id !== userId) {
+      throw new InviteError('This participant is already linked to another account', 409);
+    }
+
+    // One account can only stand for one participant per bill
+    const existingLink = await prisma.participant.findFirst({
+      where: { bill_id: participant.bill_id, user_id: userId, id: { not: participant.id } },
+    });
+    if (existingLink) {
+      throw new InviteError('You are already a participant of this bill', 409);
+    }
+
+    await prisma.$transaction([
+      prisma.participant.update({
+        where: { id: participant.id },
+        data: { user_id: userId },
+      }),
+      prisma.participantInvite.update({
+        where: { id: invite.id },
+        data: { accepted_at: new Date() },
+      }),
+    ]);
+    return { billId: participant.bill_id, participantId: participant.id };
+  }
+}
+
+InviteService.InviteError = InviteError;
+
+module.exports = InviteService;
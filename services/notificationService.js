@@ -1,6 +1,24 @@
 const nodemailer = require('nodemailer');
 const prisma = require('../prismaClient');
 
+// Bill titles, names and share links come from users, and emails go to any
+// address, so values are escaped before they go into the HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeData(data) {
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [
+    key,
+    typeof value === 'string' ? escapeHtml(value) : value,
+  ]));
+}
+
 class NotificationService {
   constructor() {
     // Initialize email transporter
@@ -47,6 +65,10 @@ class NotificationService {
       subscriptionUpgraded: {
         subject: 'Welcome to Premium! 🚀',
         template: 'subscription-upgraded.html'
+      },
+      budgetAlert: {
+        subject: '{budgetName}: {percent}% of your monthly budget spent 📊',
+        template: 'budget-alert.html'
       }
     };
   }
@@ -59,7 +81,7 @@ class NotificationService {
         throw new Error(`Template ${templateName} not found`);
       }
 
-      const htmlContent = await this.renderTemplate(template.template, data);
+      const htmlContent = await this.renderTemplate(template.template, escapeData(data));
       const subject = this.renderSubject(template.subject, data);
 
       const mailOptions = {
@@ -199,11 +221,11 @@ class NotificationService {
           <div style="background: #f0fdf4; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #059669;">
             <h3>Bill Details:</h3>
             <p><strong>Store:</strong> ${data.storeName}</p>
-            <p><strong>Total:</strong> $${data.total}</p>
-            <p><strong>Your Share:</strong> $${data.yourShare}</p>
+            <p><strong>Total:</strong> ${data.total} ${data.currency || ''}</p>
+            ${data.yourShare ? `<p><strong>Your Share:</strong> ${data.yourShare} ${data.currency || ''}</p>` : ''}
             <p><strong>Date:</strong> ${data.date}</p>
           </div>
-          <p><a href="${process.env.FRONTEND_URL}/bills/${data.billId}" style="background: #059669; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Bill</a></p>
+          <p><a href="${data.shareUrl || `${process.env.FRONTEND_URL}/bills/${data.billId}`}" style="background: #059669; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">${data.actionLabel || 'View Bill'}</a></p>
           <p>Best regards,<br>The Split Generator Team</p>
         </div>
       `,
@@ -256,6 +278,21 @@ class NotificationService {
           <p><a href="${process.env.FRONTEND_URL}/analytics" style="background: #059669; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Explore Analytics</a></p>
           <p>Best regards,<br>The Split Generator Team</p>
         </div>
+      `,
+      'budget-alert.html': `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #d97706;">${data.threshold >= 100 ? 'Budget exceeded' : 'Budget alert'} 📊</h1>
+          <p>Hi ${data.name || 'there'},</p>
+          <p>You've spent <strong>${data.percent}%</strong> of your <strong>${data.budgetName}</strong> budget for ${data.month}.</p>
+          <div style="background: #fffbeb; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #d97706;">
+            <h3>This Month:</h3>
+            <p><strong>Spent:</strong> ${data.spent} ${data.currency}</p>
+            <p><strong>Budget:</strong> ${data.amount} ${data.currency}</p>
+            <p><strong>Remaining:</strong> ${data.remaining} ${data.currency}</p>
+          </div>
+          <p><a href="${process.env.FRONTEND_URL}/budgets/${data.budgetId}" style="background: #d97706; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Budget</a></p>
+          <p>Best regards,<br>The Split Generator Team</p>
+        </div>
       `
     };
 
@@ -337,21 +374,23 @@ class NotificationService {
     });
   }
 
-  async sendBillSharedEmail(userId, billData) {
-    if (!(await this.shouldSendNotification(userId, 'billShared'))) {
-      return;
-    }
-
+  // Share links usually go to people without an account, so this takes an email
+  // address. Registered users' notification preferences are still respected.
+  // Returns whether the email was sent.
+  async sendBillSharedEmail(email, billData) {
     const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { name: true, email: true },
+      where: { email },
+      select: { id: true, name: true },
     });
-    if (!user) return;
+    if (user && !(await this.shouldSendNotification(user.id, 'billShared'))) {
+      return false;
+    }
 
-    await this.sendEmail(user.email, 'billShared', {
-      name: user.name,
+    await this.sendEmail(email, 'billShared', {
+      name: user ? user.name : billData.recipientName,
       ...billData
     });
+    return true;
   }
 
   async sendPaymentReminderEmail(userId, reminderData) {
@@ -404,6 +443,23 @@ class NotificationService {
     });
   }
 
+  async sendBudgetAlertEmail(userId, alertData) {
+    if (!(await this.shouldSendNotification(userId, 'budgetAlert'))) {
+      return;
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { name: true, email: true },
+    });
+    if (!user) return;
+
+    await this.sendEmail(user.email, 'budgetAlert', {
+      name: user.name,
+      ...alertData
+    });
+  }
+
   // Batch notification methods
   async sendBulkNotifications(userIds, templateName, data = {}) {
     const users = await prisma.user.findMany({
@@ -0,0 +1,382 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createWorker } = require('tesseract.js');
+const prisma = require('../prismaClient');
+const ImagePreprocessor = require('./imagePreprocessor');
+const PdfReceiptReader = require('./pdfReceiptReader');
+const ReceiptStorageService = require('./receiptStorageService');
+const ReceiptLocales = require('../utils/receiptLocales');
+const { parseBillText } = require('../utils/receiptParser');
+const { reconcileReceipt } = require('../utils/receiptReconciliation');
+
+// Tesseract workers are expensive to start, so they are kept and reused. At most
+// OCR_CONCURRENCY receipts are recognised at once; the rest wait in the queue.
+const CONCURRENCY = Number(process.env.OCR_CONCURRENCY) || 2;
+// Jobs interrupted this many times (e.g. by restarts mid-recognition) are failed
+const MAX_ATTEMPTS = 3;
+// Persist progress in steps of this size rather than on every worker message
+const PROGRESS_STEP = 0.1;
+// Tesseract language(s) for uploads without a locale hint, e.g. "eng" or "eng+deu"
+const DEFAULT_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+// This process, as the holder of the jobs it has queued or is running
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+// Held jobs are leased to their instance and the lease is renewed every
+// LEASE_MS / 4, so other instances only resume jobs whose holder has gone away
+const LEASE_MS = Number(process.env.OCR_LEASE_MS) || 2 * 60 * 1000;
+
+// Language data is read from disk, never downloaded: <code>.traineddata[.gz] in
+// TESSDATA_PATH, else the @tesseract.js-data/<code> package if it's installed
+function findLanguageFile(code) {
+  const candidates = [];
+  if (process.env.TESSDATA_PATH) {
+    candidates.push(
+      path.join(process.env.TESSDATA_PATH, `${code}.traineddata`),
+      path.join(process.env.TESSDATA_PATH, `${code}.traineddata.gz`)
+    );
+  }
+  try {
+    const { langPath, gzip } = require(`@tesseract.js-data/${code}`);
+    candidates.push(path.join(langPath, `${code}.traineddata${gzip ? '.gz' : ''}`));
+  } catch (error) {
+    // Package not installed
+  }
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+class OcrService {
+  constructor() {
+    this.queue = [];
+    // [{ language, worker }], oldest first
+    this.idleWorkers = [];
+    this.active = 0;
+    this.waiters = {};
+    this.savedProgress = {};
+    this.pageProgress = {};
+    // Ids of the jobs this instance holds, queued or running
+    this.heldJobs = new Set();
+    this.heartbeat = null;
+  }
+
+  // Whether every language in `language` ("deu", "eng+deu") has data installed
+  isLanguageAvailable(language) {
+    return language.split('+').every(code => findLanguageFile(code));
+  }
+
+  // Locale id for an upload's locale hint ("de-DE", "de", ...), or null when it's
+  // missing or "auto" and the locale is detected from the text. Returns { locale }
+  // or { error } for an unknown locale or one whose language data isn't installed.
+  resolveLocaleHint(hint) {
+    if (hint === undefined || hint === null || hint === '' || hint === 'auto') return { locale: null };
+    const { locale, error } = ReceiptLocales.resolveLocale(hint);
+    if (error) return { error };
+    if (!this.isLanguageAvailable(locale.language)) {
+      return { error: `OCR for ${locale.id} isn't available: Tesseract language data "${locale.language}" is not installed` };
+    }
+    return { locale: locale.id };
+  }
+
+  // Tesseract language(s) for a job: its locale's, else OCR_LANGUAGE
+  getJobLanguage(job) {
+    const locale = job.locale && ReceiptLocales.getLocale(job.locale);
+    return locale ? locale.language : DEFAULT_LANGUAGE;
+  }
+
+  async createPoolWorker(language) {
+    // Read up front so a missing language fails with a clear message
+    const langs = await Promise.all(language.split('+').map(async code => {
+      const file = findLanguageFile(code);
+      if (!file) {
+        throw new Error(`No Tesseract language data for "${code}" (install @tesseract.js-data/${code} or add it to TESSDATA_PATH)`);
+      }
+      return { code, data: await fs.promises.readFile(file) };
+    }));
+    const worker = await createWorker({
+      logger: message => this.onProgress(message),
+      // Failures reject the pending recognize() call; without a handler the
+      // worker would also throw them as uncaught exceptions
+      errorHandler: () => {},
+      // Don't write a copy of the language data into the working directory
+      cacheMethod: 'none',
+    });
+    try {
+      await worker.loadLanguage(langs);
+      await worker.initialize(language);
+    } catch (error) {
+      worker.terminate().catch(() => {});
+      throw error;
+    }
+    return worker;
+  }
+
+  async acquireWorker(language) {
+    const index = this.idleWorkers.findIndex(idle => idle.language === language);
+    if (index !== -1) {
+      return this.idleWorkers.splice(index, 1)[0].worker;
+    }
+    return this.createPoolWorker(language);
+  }
+
+  // Workers that failed mid-job are replaced rather than reused. At most
+  // OCR_CONCURRENCY workers are kept idle; the least recently used go first.
+  releaseWorker(worker, language, failed) {
+    if (failed) {
+      worker.terminate().catch(() => {});
+      return;
+    }
+    this.idleWorkers.push({ language, worker });
+    while (this.idleWorkers.length > CONCURRENCY) {
+      this.idleWorkers.shift().worker.terminate().catch(() => {});
+    }
+  }
+
+  // Store an OcrJob and its receipt asset for an uploaded file (multer's req.file);
+  // signed-in uploads belong to the user. `locale` is the upload's locale id, or
+  // null to detect it from the text.
+  async createJob(file, userId, preprocessOptions, locale = null) {
+    const asset = await ReceiptStorageService.createAsset(file, userId);
+    return prisma.ocrJob.create({
+      data: {
+        user_id: userId || null,
+        asset_id: asset.id,
+        image_url: ReceiptStorageService.fileUrl(file.filename),
+        file_path: file.filename,
+        preprocess_options: ImagePreprocessor.resolveOptions(preprocessOptions),
+        locale,
+        locked_by: INSTANCE_ID,
+        locked_until: this.leaseUntil(),
+      },
+    });
+  }
+
+  // Queue a job and resolve with it once recognised (rejects if OCR fails)
+  process(jobId) {
+    const result = this.waitFor(jobId);
+    this.enqueue(jobId);
+    return result;
+  }
+
+  // Queue a stored OcrJob this instance holds for processing
+  enqueue(jobId) {
+    this.heldJobs.add(jobId);
+    this.startHeartbeat();
+    this.queue.push(jobId);
+    this.drain();
+  }
+
+  leaseUntil() {
+    return new Date(Date.now() + LEASE_MS);
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.renewLeases().catch(error => console.error('Failed to renew OCR job leases:', error));
+    }, LEASE_MS / 4);
+    this.heartbeat.unref();
+  }
+
+  // Extend the lease on every held job; stops once nothing is held
+  async renewLeases() {
+    if (this.heldJobs.size === 0) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+      return;
+    }
+    await prisma.ocrJob.updateMany({
+      where: { id: { in: [...this.heldJobs] }, locked_by: INSTANCE_ID },
+      data: { locked_until: this.leaseUntil() },
+    });
+  }
+
+  // Resolves with the finished job or rejects with its error. Call before enqueue.
+  waitFor(jobId) {
+    return new Promise((resolve, reject) => {
+      this.waiters[jobId] = [...(this.waiters[jobId] || []), { resolve, reject }];
+    });
+  }
+
+  // Re-queue jobs left queued or mid-recognition by an instance that stopped.
+  // Jobs another instance still holds (its lease hasn't run out) are left alone,
+  // and each job is claimed conditionally so two instances can't both take it.
+  async resumePendingJobs() {
+    const abandoned = () => ({
+      status: { in: ['queued', 'processing'] },
+      OR: [{ locked_until: null }, { locked_until: { lt: new Date() } }],
+    });
+    await prisma.ocrJob.updateMany({
+      where: { ...abandoned(), attempts: { gte: MAX_ATTEMPTS } },
+      data: { status: 'failed', error: 'OCR was interrupted too many times' },
+    });
+    const pending = await prisma.ocrJob.findMany({
+      where: abandoned(),
+      orderBy: { created_at: 'asc' },
+      select: { id: true },
+    });
+    let resumed = 0;
+    for (const job of pending) {
+      const { count } = await prisma.ocrJob.updateMany({
+        where: { id: job.id, ...abandoned() },
+        data: { locked_by: INSTANCE_ID, locked_until: this.leaseUntil() },
+      });
+      if (count === 0) continue;
+      this.enqueue(job.id);
+      resumed += 1;
+    }
+    if (resumed > 0) {
+      console.log(`Resumed ${resumed} OCR job(s)`);
+    }
+  }
+
+  drain() {
+    while (this.active < CONCURRENCY && this.queue.length > 0) {
+      const jobId = this.queue.shift();
+      this.active += 1;
+      this.runJob(jobId).finally(() => {
+        this.active -= 1;
+        this.drain();
+      });
+    }
+  }
+
+  async runJob(jobId) {
+    let worker = null;
+    let language = null;
+    let failed = false;
+    let workDir = null;
+    try {
+      // If this instance stalled past its lease another one may have resumed the job
+      const { count } = await prisma.ocrJob.updateMany({
+        where: { id: jobId, locked_by: INSTANCE_ID },
+        data: { status: 'processing', progress: 0, started_at: new Date(), attempts: { increment: 1 } },
+      });
+      if (count === 0) {
+        this.settle(jobId, new Error('OCR job was taken over by another server'));
+        return;
+      }
+      const job = await prisma.ocrJob.findUnique({ where: { id: jobId } });
+
+      // The receipt is fetched from storage (so any instance can run the job) and
+      // the page and debug images made from it are stored next to it
+      workDir = await ReceiptStorageService.createWorkDir();
+      const filePath = await ReceiptStorageService.downloadFile(path.basename(job.file_path), workDir);
+      const storeImage = async imagePath => ReceiptStorageService.fileUrl(
+        await ReceiptStorageService.saveFile(imagePath, 'image/png')
+      );
+
+      // PDFs are split into text-layer pages and rendered pages needing OCR;
+      // an image is a single page
+      const isPdf = PdfReceiptReader.isPdf({ path: filePath });
+      const { pageCount, pages } = isPdf
+        ? await PdfReceiptReader.read(filePath)
+        : { pageCount: 1, pages: [{ page: 1, method: 'ocr', imagePath: filePath }] };
+      const options = ImagePreprocessor.resolveOptions(job.preprocess_options);
+
+      const texts = [];
+      const ocrLines = [];
+      const confidences = [];
+      const pageResults = [];
+      for (const [index, page] of pages.entries()) {
+        if (page.method === 'text') {
+          texts.push(page.text);
+          pageResults.push({ page: page.page, method: 'text' });
+          continue;
+        }
+
+        // Deskew/crop/threshold first; the processed copy is kept as a debug image
+        let imagePath = page.imagePath;
+        const pageResult = {
+          page: page.page,
+          method: 'ocr',
+          imageUrl: isPdf ? await storeImage(page.imagePath) : job.image_url,
+        };
+        if (ImagePreprocessor.isEnabled(options)) {
+          const { outputPath, steps } = await ImagePreprocessor.process(page.imagePath, options);
+          imagePath = outputPath;
+          pageResult.debugImageUrl = await storeImage(outputPath);
+          // The first page's debug image is also stored on the job itself
+          if (!pageResults.some(result => result.method === 'ocr')) {
+            await prisma.ocrJob.update({
+              where: { id: jobId },
+              data: { processed_image_url: pageResult.debugImageUrl, preprocessing: steps },
+            });
+          }
+        }
+
+        language = language || this.getJobLanguage(job);
+        worker = worker || await this.acquireWorker(language);
+        this.pageProgress[jobId] = { index, count: pages.length };
+        // The job id is passed through so progress messages can be attributed to it.
+        // Blocks carry the per-word confidences used to score each parsed item.
+        const { data } = await worker.recognize(imagePath, {}, { text: true, blocks: true, hocr: false, tsv: false }, jobId);
+        texts.push(data.text);
+        ocrLines.push(...(data.lines || []).map(line => ({
+          text: line.text,
+          words: line.words.map(word => word.confidence),
+        })));
+        confidences.push(data.confidence);
+        pageResults.push({ ...pageResult, confidence: data.confidence });
+      }
+
+      const extractedText = texts.join('\n');
+      const parsedData = parseBillText(extractedText, { ocrLines, locale: job.locale });
+      // Text-layer pages have no OCR confidence to report
+      const ocrConfidence = confidences.length > 0
+        ? confidences.reduce((total, confidence) => total + confidence, 0) / confidences.length
+        : null;
+      const completed = await prisma.ocrJob.update({
+        where: { id: jobId },
+        data: {
+          status: 'completed',
+          progress: 1,
+          extracted_text: extractedText,
+          parsed_data: parsedData,
+          reconciliation: reconcileReceipt(parsedData, { ocrConfidence }),
+          ocr_confidence: ocrConfidence,
+          page_count: pageCount,
+          pages: pageResults,
+          completed_at: new Date(),
+        },
+      });
+      this.settle(jobId, null, completed);
+    } catch (error) {
+      failed = true;
+      const message = `OCR processing failed: ${error.message || error}`;
+      console.error(`OCR job ${jobId} failed:`, error);
+      await prisma.ocrJob.updateMany({
+        where: { id: jobId, locked_by: INSTANCE_ID },
+        data: { status: 'failed', error: message, completed_at: new Date() },
+      }).catch(() => {});
+      this.settle(jobId, new Error(message));
+    } finally {
+      this.heldJobs.delete(jobId);
+      delete this.savedProgress[jobId];
+      delete this.pageProgress[jobId];
+      if (worker) this.releaseWorker(worker, language, failed);
+      if (workDir) fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  settle(jobId, error, job) {
+    (this.waiters[jobId] || []).forEach(waiter => (error ? waiter.reject(error) : waiter.resolve(job)));
+    delete this.waiters[jobId];
+  }
+
+  onProgress({ userJobId, status, progress: pageProgress }) {
+    if (status !== 'recognizing text' || !userJobId) return;
+    // Multi-page PDFs report progress across the whole document
+    const { index, count } = this.pageProgress[userJobId] || { index: 0, count: 1 };
+    const progress = (index + pageProgress) / count;
+    const saved = this.savedProgress[userJobId] || 0;
+    if (progress - saved < PROGRESS_STEP && progress < 1) return;
+    this.savedProgress[userJobId] = progress;
+    // Only while processing, so a late update can't overwrite a finished job
+    prisma.ocrJob.updateMany({
+      where: { id: userJobId, status: 'processing' },
+      data: { progress },
+    }).catch(() => {});
+  }
+}
+
+module.exports = new OcrService();
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { createCanvas, DOMMatrix, ImageData, Path2D } = require('@napi-rs/canvas');
+
+// pdf.js expects these browser globals when rendering; @napi-rs/canvas provides them
+globalThis.DOMMatrix = globalThis.DOMMatrix || DOMMatrix;
+globalThis.ImageData = globalThis.ImageData || ImageData;
+globalThis.Path2D = globalThis.Path2D || Path2D;
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+// Longer invoices are cut off here rather than tying up the OCR pool
+const MAX_PAGES = Number(process.env.PDF_MAX_PAGES) || 10;
+// A page with fewer characters than this in its text layer is treated as scanned
+const MIN_TEXT_CHARS = 20;
+// Scanned pages are rendered at roughly 200 DPI (PDF units are 1/72 inch)
+const RENDER_SCALE = 200 / 72;
+const MAX_RENDER_DIMENSION = 4000;
+const STANDARD_FONT_DATA_URL = `${path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts')}/`;
+
+// pdf.js's default Node canvas factory needs the `canvas` package; this one uses
+// @napi-rs/canvas, which ships prebuilt binaries
+class CanvasFactory {
+  create(width, height) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+class PdfReceiptReader {
+  static isPdf(file) {
+    return file.mimetype === 'application/pdf' || path.extname(file.originalname || file.path || '').toLowerCase() === '.pdf';
+  }
+
+  // Text-based pages (e-receipts, invoices) are read from the text layer; scanned
+  // pages are rendered to PNGs next to the PDF for the OCR path. Returns
+  // { pageCount, pages: [{ page, method: 'text', text } | { page, method: 'ocr', imagePath }] }
+  static async read(filePath) {
+    const { document, canvasFactory } = await this.open(filePath);
+    try {
+      const pages = [];
+      const parsed = path.parse(filePath);
+      for (let number = 1; number <= Math.min(document.numPages, MAX_PAGES); number++) {
+        const page = await document.getPage(number);
+        const text = this.extractText(await page.getTextContent());
+        if (text.replace(/\s/g, '').length >= MIN_TEXT_CHARS) {
+          pages.push({ page: number, method: 'text', text });
+        } else {
+          const imagePath = path.join(parsed.dir, `${parsed.name}-page-${number}.png`);
+          await fs.promises.writeFile(imagePath, await this.renderPage(page, canvasFactory));
+          pages.push({ page: number, method: 'ocr', imagePath });
+        }
+        page.cleanup();
+      }
+      return { pageCount: document.numPages, pages };
+    } finally {
+      await document.destroy();
+    }
+  }
+
+  // PNG buffer of the first page, whatever kind it is (used for thumbnails)
+  static async renderFirstPage(filePath) {
+    const { document, canvasFactory } = await this.open(filePath);
+    try {
+      return await this.renderPage(await document.getPage(1), canvasFactory);
+    } finally {
+      await document.destroy();
+    }
+  }
+
+  static async open(filePath) {
+    const data = new Uint8Array(await fs.promises.readFile(filePath));
+    const canvasFactory = new CanvasFactory();
+    const document = await pdfjs.getDocument({
+      data,
+      canvasFactory,
+      standardFontDataUrl: STANDARD_FONT_DATA_URL,
+      isEvalSupported: false,
+      verbosity: pdfjs.VerbosityLevel.ERRORS,
+    }).promise;
+    return { document, canvasFactory };
+  }
+
+  // Rebuild lines from positioned text items: items on the same baseline (within
+  // half a line height) are joined left to right, lines ordered top to bottom
+  static extractText(textContent) {
+    const lines = [];
+    for (const item of textContent.items) {
+      if (!item.str || !item.str.trim()) continue;
+      const x = item.transform[4];
+      const y = item.transform[5];
+      const height = item.height || Math.abs(item.transform[3]) || 10;
+      let line = lines.find(candidate => Math.abs(candidate.y - y) < height / 2);
+      if (!line) {
+        line = { y, items: [] };
+        lines.push(line);
+      }
+      line.items.push({ x, str: item.str.trim() });
+    }
+    return lines
+      .sort((a, b) => b.y - a.y)
+      .map(line => line.items.sort((a, b) => a.x - b.x).map(item => item.str).join(' '))
+      .join('\n');
+  }
+
+  static async renderPage(page, canvasFactory) {
+    const base = page.getViewport({ scale: 1 });
+    const scale = Math.min(RENDER_SCALE, MAX_RENDER_DIMENSION / Math.max(base.width, base.height));
+    const viewport = page.getViewport({ scale });
+    const { canvas, context } = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    // Transparent areas would come out black in the PNG
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  }
+}
+
+PdfReceiptReader.MAX_PAGES = MAX_PAGES;
+
+module.exports = PdfReceiptReader;
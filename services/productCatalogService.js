@@ -0,0 +1,255 @@
+const prisma = require('../prismaClient');
+
+// Digits OCR commonly reads in place of letters ("0RG BANANA5"). Only folded in
+// words that also have letters, so "2" in "2 LITRE" stays a number.
+const OCR_CONFUSABLES = { 0: 'o', 1: 'l', 5: 's', 8: 'b' };
+// A count or size with its unit ("1L", "500g", "6PK"), split into number and unit
+// rather than folded
+const QUANTITY_REGEX = /^(\d+)(l|ml|cl|g|kg|oz|lbs?|pk|ct|pcs?|x)$/;
+// Receipt abbreviations, expanded so "ORG BANANAS" matches "Organic Bananas"
+const ABBREVIATIONS = {
+  org: 'organic',
+  orgnc: 'organic',
+  whl: 'whole',
+  wht: 'white',
+  mlk: 'milk',
+  chkn: 'chicken',
+  bnls: 'boneless',
+  sknls: 'skinless',
+  grd: 'ground',
+  brd: 'bread',
+  veg: 'vegetable',
+  lg: 'large',
+  sm: 'small',
+  pk: 'pack',
+  btl: 'bottle',
+};
+// Letters OCR misreads as one another. Names only match fuzzily when their words
+// differ by these, so "oat milk" and "goat milk" stay different products.
+const OCR_LOOKALIKES = ['ilt', 'ij', 'ceo', 'uv', 'nh', 'bh', 'gq'];
+const LOOKALIKE_PAIRS = new Set(OCR_LOOKALIKES.flatMap(group => [...group].flatMap(
+  a => [...group].filter(b => b !== a).map(b => a + b)
+)));
+// Shorter words are too easy to confuse ("milk" vs "silk") to match fuzzily, and
+// longer words allow one misread letter per this many letters
+const FUZZY_MIN_LENGTH = 5;
+
+class ProductCatalogService {
+  // A product name for display: trimmed, with runs of whitespace collapsed
+  static cleanName(name) {
+    return String(name).replace(/\s+/g, ' ').trim();
+  }
+
+  // The form names are compared in: lower case without punctuation, OCR digit
+  // confusions folded, abbreviations expanded and plurals made singular
+  static matchKey(name) {
+    return String(name)
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+      .flatMap(word => {
+        const quantity = QUANTITY_REGEX.exec(word);
+        if (quantity) return [quantity[1], quantity[2]];
+        return [/\p{L}/u.test(word) ? word.replace(/[0158]/g, digit => OCR_CONFUSABLES[digit]) : word];
+      })
+      .map(word => (Object.hasOwn(ABBREVIATIONS, word) ? ABBREVIATIONS[word] : word))
+      .map(word => {
+        if (word.length <= 3 || !/\p{L}$/u.test(word)) return word;
+        if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+        if (word.endsWith('oes')) return word.slice(0, -2);
+        if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+        return word;
+      })
+      .join(' ');
+  }
+
+  // Similarity (0-1) of two match keys: 1 for the same key, 0 for different
+  // products. Keys are the same product misread when they have the same words
+  // apart from a few OCR lookalike letters ("organlc" for "organic"); short words
+  // and numbers ("2L" vs "1L" milk) have to match exactly.
+  static similarity(a, b) {
+    if (a === b) return 1;
+    const wordsA = a.split(' ');
+    const wordsB = b.split(' ');
+    if (wordsA.length !== wordsB.length) return 0;
+    let misread = 0;
+    for (let index = 0; index < wordsA.length; index += 1) {
+      const count = countMisreadLetters(wordsA[index], wordsB[index]);
+      if (count === null) return 0;
+      misread += count;
+    }
+    return 1 - misread / Math.max(a.length, b.length);
+  }
+
+  // Best alias for a match key among [{ match_key, catalog_product_id }], or null
+  static findBestAlias(key, aliases) {
+    let best = null;
+    for (const alias of aliases) {
+      const score = this.similarity(key, alias.match_key);
+      if (score > 0 && (!best || score > best.score)) {
+        best = { ...alias, score };
+      }
+    }
+    return best;
+  }
+
+  // The catalogue entry a name would be linked to, without changing anything:
+  // { catalog_product_id, alias, score } or null
+  static async findMatch(userId, name) {
+    const key = this.matchKey(name);
+    if (!key) return null;
+    const aliases = await prisma.catalogAlias.findMany({
+      where: { user_id: userId },
+      select: { catalog_product_id: true, name: true, match_key: true },
+    });
+    const match = this.findBestAlias(key, aliases);
+    return match && { catalog_product_id: match.catalog_product_id, alias: match.name, score: Math.round(match.score * 100) / 100 };
+  }
+
+  // Catalogue entry ids for product names, in order. Names matching an alias
+  // (exactly or fuzzily) link to its entry and become aliases themselves, so the
+  // next receipt matches exactly; other names start new entries. Empty names get null.
+  static async linkNames(userId, names) {
+    const aliases = await prisma.catalogAlias.findMany({
+      where: { user_id: userId },
+      select: { catalog_product_id: true, match_key: true },
+    });
+    const byKey = new Map(aliases.map(alias => [alias.match_key, alias.catalog_product_id]));
+
+    const ids = [];
+    for (const name of names) {
+      const key = this.matchKey(name);
+      if (!key) {
+        ids.push(null);
+        continue;
+      }
+      if (!byKey.has(key)) {
+        const match = this.findBestAlias(key, aliases);
+        const catalogProductId = match
+          ? await this.addAlias(userId, match.catalog_product_id, name, key)
+          : await this.createEntry(userId, name, key);
+        byKey.set(key, catalogProductId);
+        aliases.push({ catalog_product_id: catalogProductId, match_key: key });
+      }
+      ids.push(byKey.get(key));
+    }
+    return ids;
+  }
+
+  // Catalogue entry id for one product name (see linkNames)
+  static async linkName(userId, name) {
+    const [id] = await this.linkNames(userId, [name]);
+    return id;
+  }
+
+  // New entry named after the product, with the name as its first alias
+  static async createEntry(userId, name, key = this.matchKey(name)) {
+    try {
+      const entry = await prisma.catalogProduct.create({
+        data: {
+          user_id: userId,
+          name: this.cleanName(name),
+          aliases: { create: { user_id: userId, name: this.cleanName(name), match_key: key } },
+        },
+      });
+      return entry.id;
+    } catch (error) {
+      // Another request created the alias first; use its entry
+      return this.resolveConflict(error, userId, key);
+    }
+  }
+
+  static async addAlias(userId, catalogProductId, name, key = this.matchKey(name)) {
+    try {
+      await prisma.catalogAlias.create({
+        data: { user_id: userId, catalog_product_id: catalogProductId, name: this.cleanName(name), match_key: key },
+      });
+      return catalogProductId;
+    } catch (error) {
+      return this.resolveConflict(error, userId, key);
+    }
+  }
+
+  static async resolveConflict(error, userId, key) {
+    if (error.code !== 'P2002') throw error;
+    const alias = await prisma.catalogAlias.findUnique({ where: { user_id_match_key: { user_id: userId, match_key: key } } });
+    return alias.catalog_product_id;
+  }
+
+  // Link the user's products that have no catalogue entry yet (products created
+  // before the catalogue existed). Returns how many were linked.
+  static async linkUnlinkedProducts(userId) {
+    const products = await prisma.product.findMany({
+      where: { catalog_product_id: null, bill: { user_id: userId } },
+      select: { id: true, name: true },
+    });
+    const ids = await this.linkNames(userId, products.map(product => product.name));
+    const byEntry = new Map();
+    products.forEach((product, index) => {
+      if (ids[index]) byEntry.set(ids[index], [...(byEntry.get(ids[index]) || []), product.id]);
+    });
+    for (const [catalogProductId, productIds] of byEntry) {
+      await prisma.product.updateMany({ where: { id: { in: productIds } }, data: { catalog_product_id: catalogProductId } });
+    }
+    return products.filter((_, index) => ids[index]).length;
+  }
+
+  // Fold other entries into `target`: their aliases and products move over and
+  // they are deleted. The target keeps its name; it takes a category if it has
+  // none, and its category then applies to all products not categorised by hand.
+  static async mergeEntries(target, sources) {
+    const sourceIds = sources.map(source => source.id);
+    const categoryId = target.category_id || (sources.find(source => source.category_id) || {}).category_id || null;
+    await prisma.$transaction([
+      prisma.catalogAlias.updateMany({ where: { catalog_product_id: { in: sourceIds } }, data: { catalog_product_id: target.id } }),
+      prisma.product.updateMany({ where: { catalog_product_id: { in: sourceIds } }, data: { catalog_product_id: target.id } }),
+      prisma.catalogProduct.deleteMany({ where: { id: { in: sourceIds } } }),
+      prisma.catalogProduct.update({ where: { id: target.id }, data: { category_id: categoryId } }),
+      ...(categoryId ? [prisma.product.updateMany({
+        where: {
+          catalog_product_id: target.id,
+          OR: [{ category_source: null }, { category_source: { not: 'manual' } }],
+        },
+        data: { category_id: categoryId, category_source: 'catalog' },
+      })] : []),
+    ]);
+  }
+
+  // Move an alias (and the products printed that way) to another entry, or to a
+  // new entry named `name` (default: the alias) when no target is given.
+  // Returns the id of the entry the alias now belongs to.
+  static async moveAlias(alias, { targetId = null, name } = {}) {
+    const products = await prisma.product.findMany({
+      where: { catalog_product_id: alias.catalog_product_id },
+      select: { id: true, name: true },
+    });
+    const productIds = products
+      .filter(product => this.matchKey(product.name) === alias.match_key)
+      .map(product => product.id);
+
+    return prisma.$transaction(async tx => {
+      const entryId = targetId || (await tx.catalogProduct.create({
+        data: { user_id: alias.user_id, name: this.cleanName(name || alias.name) },
+      })).id;
+      await tx.catalogAlias.update({ where: { id: alias.id }, data: { catalog_product_id: entryId } });
+      await tx.product.updateMany({ where: { id: { in: productIds } }, data: { catalog_product_id: entryId } });
+      return entryId;
+    });
+  }
+}
+
+// Letters two same-length words differ by when every difference is an OCR
+// lookalike and there are few enough (see FUZZY_MIN_LENGTH), else null
+function countMisreadLetters(a, b) {
+  if (a === b) return 0;
+  if (a.length !== b.length || a.length < FUZZY_MIN_LENGTH) return null;
+  let count = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    if (a[index] === b[index]) continue;
+    if (!LOOKALIKE_PAIRS.has(a[index] + b[index])) return null;
+    count += 1;
+  }
+  return count <= Math.floor(a.length / FUZZY_MIN_LENGTH) ? count : null;
+}
+
+module.exports = ProductCatalogService;
@@ -0,0 +1,137 @@
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../prismaClient');
+const SplitService = require('./splitService');
+const CategoryService = require('./categoryService');
+const Money = require('../utils/money');
+
+const PARTICIPANT_COLORS = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8', '#F7DC6F'];
+
+class ReceiptBillService {
+  // Participant indexes each parsed product is split between. Products go to
+  // `defaultParticipants` (names, default everyone) unless `assignments` lists
+  // them: [{ product_index, participants: [names] }]. Names match case-insensitively.
+  static resolveAssignments(products, participantNames, { defaultParticipants, assignments = [] } = {}) {
+    const indexByName = new Map(participantNames.map((name, index) => [String(name).trim().toLowerCase(), index]));
+    const toIndexes = names => {
+      if (!Array.isArray(names)) return { error: 'Assigned participants must be an array of names' };
+      const unknown = names.filter(name => !indexByName.has(String(name).trim().toLowerCase()));
+      if (unknown.length > 0) return { error: `Unknown participant(s): ${unknown.join(', ')}` };
+      return { indexes: [...new Set(names.map(name => indexByName.get(String(name).trim().toLowerCase())))] };
+    };
+
+    const fallback = defaultParticipants !== undefined
+      ? toIndexes(defaultParticipants)
+      : { indexes: participantNames.map((_, index) => index) };
+    if (fallback.error) return { error: fallback.error };
+
+    if (!Array.isArray(assignments)) {
+      return { error: 'Assignments must be an array' };
+    }
+    const result = products.map(() => fallback.indexes);
+    for (const assignment of assignments) {
+      const productIndex = assignment && assignment.product_index;
+      if (!Number.isInteger(productIndex) || productIndex < 0 || productIndex >= products.length) {
+        return { error: `Assignment product_index must be between 0 and ${products.length - 1}` };
+      }
+      const resolved = toIndexes(assignment.participants);
+      if (resolved.error) return { error: resolved.error };
+      result[productIndex] = resolved.indexes;
+    }
+    return { assignments: result };
+  }
+
+  // Create the bill, its participants, every parsed product with its equal split
+  // and the suggested adjustments in one transaction, so a failure leaves nothing
+  // half-created. The receipt is linked to the new bill. `participants` is
+  // [{ name, color? }], taken from the template `templateId` if there is one.
+  static async createBill(userId, { job, title, description, currency, participants, templateId = null, assignments, includeAdjustments = true }) {
+    const parsedData = job.parsed_data;
+    const billParticipants = participants.map((participant, index) => ({
+      id: uuidv4(),
+      name: participant.name,
+      color: participant.color || PARTICIPANT_COLORS[index % PARTICIPANT_COLORS.length],
+    }));
+    const products = parsedData.products.map((product, index) => ({
+      id: uuidv4(),
+      name: product.name,
+      price_minor: Money.toMinorUnits(product.price, currency),
+      quantity: product.quantity || 1,
+      participant_ids: assignments[index].map(participantIndex => billParticipants[participantIndex].id),
+    }));
+    const adjustments = includeAdjustments ? parsedData.adjustments || [] : [];
+    const productsTotal = Money.sum(products.map(product => product.price_minor * product.quantity));
+    // Matched outside the transaction so the catalogue isn't locked while it runs
+    const productFields = await CategoryService.resolveProducts(userId, products.map(product => product.name));
+
+    return prisma.$transaction(async tx => {
+      const bill = await tx.bill.create({
+        data: {
+          id: uuidv4(),
+          user_id: userId,
+          title,
+          description: description || null,
+          currency,
+          total_amount_minor: parsedData.totalAmount
+            ? Money.toMinorUnits(parsedData.totalAmount, currency)
+            : productsTotal,
+          image_url: job.image_url,
+          template_id: templateId,
+          participants: { create: billParticipants },
+        },
+      });
+
+      // The receipt is kept as long as the bill (see ReceiptAsset)
+      if (job.asset_id) {
+        await tx.receiptAsset.update({
+          where: { id: job.asset_id },
+          data: { bill_id: bill.id, user_id: userId },
+        });
+      }
+
+      // Products are created after the participants their shares point at
+      for (const [index, product] of products.entries()) {
+        const { shares } = SplitService.resolveProductSplit(
+          'equal',
+          product.participant_ids.map(participantId => ({ participant_id: participantId })),
+          0,
+          currency
+        );
+        await tx.product.create({
+          data: {
+            id: product.id,
+            bill_id: bill.id,
+            name: product.name,
+            price_minor: product.price_minor,
+            quantity: product.quantity,
+            split_mode: 'equal',
+            ...productFields[index],
+            productParticipants: {
+              create: shares.map(share => ({
+                id: uuidv4(),
+                participant_id: share.participant_id,
+                share_percentage: share.share_percentage,
+              })),
+            },
+          },
+        });
+      }
+
+      for (const adjustment of adjustments) {
+        await tx.billAdjustment.create({
+          data: {
+            bill_id: bill.id,
+            type: adjustment.type,
+            label: 'From receipt',
+            calculation: 'fixed',
+            amount_minor: Money.toMinorUnits(adjustment.value, currency),
+            split_method: adjustment.split_method,
+          },
+        });
+      }
+
+      return { bill, productCount: products.length, adjustmentCount: adjustments.length };
+    });
+  }
+}
+
+module.exports = ReceiptBillService;
@@ -0,0 +1,101 @@
+const prisma = require('../prismaClient');
+const ReceiptStorageService = require('./receiptStorageService');
+
+const INTERVAL_MS = Number(process.env.RECEIPT_RETENTION_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+// Files without an asset are left alone this long, so uploads still being
+// recorded aren't removed from under the request
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+class ReceiptRetentionJob {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.run().catch(error => console.error('Receipt retention run failed:', error));
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('Receipt retention run failed:', error));
+    }, INTERVAL_MS);
+    this.timer.unref();
+    console.log(`Receipt retention job started (every ${INTERVAL_MS / 1000}s)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run(now = new Date()) {
+    // Skip overlapping runs if a previous one is still going
+    if (this.running) return null;
+    this.running = true;
+    try {
+      const expired = await this.purgeExpiredAssets(now);
+      const orphans = await this.purgeOrphanedFiles(now);
+      if (expired + orphans > 0) {
+        console.log(`Receipt retention: purged ${expired} expired receipt(s) and ${orphans} orphaned file(s)`);
+      }
+      return { expired, orphans };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Receipts not linked to a bill past their retention period. Receipts whose OCR
+  // job is still queued or running are left for the next run.
+  async purgeExpiredAssets(now) {
+    const hour = 60 * 60 * 1000;
+    const assets = await prisma.receiptAsset.findMany({
+      where: {
+        bill_id: null,
+        ocrJobs: { none: { status: { in: ['queued', 'processing'] } } },
+        OR: [
+          {
+            user_id: null,
+            created_at: { lt: new Date(now.getTime() - ReceiptStorageService.ANONYMOUS_RETENTION_HOURS * hour) },
+          },
+          {
+            user_id: { not: null },
+            created_at: { lt: new Date(now.getTime() - ReceiptStorageService.UNLINKED_RETENTION_DAYS * 24 * hour) },
+          },
+        ],
+      },
+    });
+    let purged = 0;
+    for (const asset of assets) {
+      try {
+        await ReceiptStorageService.deleteAsset(asset);
+        purged += 1;
+      } catch (error) {
+        console.error(`Failed to purge receipt ${asset.id}:`, error);
+      }
+    }
+    return purged;
+  }
+
+  // Stored files that no asset accounts for (e.g. left behind by failed requests
+  // or deleted records)
+  async purgeOrphanedFiles(now) {
+    const files = await ReceiptStorageService.listFiles();
+    if (files.length === 0) return 0;
+
+    const assets = await prisma.receiptAsset.findMany({ select: { filename: true } });
+    const stems = new Set(assets.map(asset => ReceiptStorageService.getStem(asset.filename) || asset.filename));
+    let purged = 0;
+    for (const file of files) {
+      if (stems.has(ReceiptStorageService.getStem(file.key) || file.key)) continue;
+      if (now.getTime() - new Date(file.lastModified).getTime() < ORPHAN_GRACE_MS) continue;
+      try {
+        await ReceiptStorageService.deleteFile(file.key);
+        purged += 1;
+      } catch (error) {
+        console.error(`Failed to purge orphaned file ${file.key}:`, error);
+      }
+    }
+    return purged;
+  }
+}
+
+module.exports = new ReceiptRetentionJob();
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const prisma = require('../prismaClient');
+const storage = require('./storage');
+const PremiumService = require('./premiumService');
+const PdfReceiptReader = require('./pdfReceiptReader');
+
+// Uploads land here first and OCR works on local copies here; the files that are
+// kept live in the configured storage (see services/storage)
+const WORK_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'split-generator-uploads');
+// Lifetime of signed download URLs
+const SIGNED_URL_EXPIRES_SECONDS = Number(process.env.SIGNED_URL_EXPIRES_SECONDS) || 15 * 60;
+const FILE_URL_PREFIX = '/api/upload/image/';
+const MB = 1024 * 1024;
+// Receipt storage per user; premium (the receipt_storage feature) gets the larger quota
+const FREE_QUOTA_BYTES = (Number(process.env.RECEIPT_STORAGE_FREE_MB) || 50) * MB;
+const PREMIUM_QUOTA_BYTES = (Number(process.env.RECEIPT_STORAGE_PREMIUM_MB) || 2048) * MB;
+// Receipts not linked to a bill are purged this long after upload
+const UNLINKED_RETENTION_DAYS = Number(process.env.RECEIPT_UNLINKED_RETENTION_DAYS) || 30;
+// Anonymous uploads are only kept long enough to read them
+const ANONYMOUS_RETENTION_HOURS = 24;
+const THUMBNAIL_SIZE = 320;
+// Stored names are "<uuid>-<timestamp>.<ext>"; derived files add a suffix to that stem
+const STEM_REGEX = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}-\d+)/i;
+
+class ReceiptStorageService {
+  // Stable link stored on bills and OCR jobs; GET /api/upload/image/:filename
+  // checks ownership and redirects to a signed URL
+  static fileUrl(filename) {
+    return filename ? `${FILE_URL_PREFIX}${filename}` : null;
+  }
+
+  // Signed, expiring URL that works without authentication
+  static getDownloadUrl(filename) {
+    return filename ? storage.getSignedUrl(filename, { expiresIn: SIGNED_URL_EXPIRES_SECONDS }) : null;
+  }
+
+  // Signed URL for a link made by fileUrl (e.g. a bill's image_url); null for anything else
+  static async signFileUrl(url) {
+    if (!url || !url.startsWith(FILE_URL_PREFIX)) return null;
+    return this.getDownloadUrl(url.slice(FILE_URL_PREFIX.length));
+  }
+
+  static fileExists(filename) {
+    return storage.exists(filename);
+  }
+
+  // Store a local file under its name, e.g. an image derived from an upload
+  static async saveFile(filePath, contentType) {
+    const filename = path.basename(filePath);
+    await storage.put(filename, filePath, contentType);
+    return filename;
+  }
+
+  static deleteFile(filename) {
+    return storage.delete(filename);
+  }
+
+  // Fresh local directory for working on a stored file (OCR, rendering)
+  static async createWorkDir() {
+    await fs.promises.mkdir(WORK_DIR, { recursive: true });
+    return fs.promises.mkdtemp(path.join(WORK_DIR, 'work-'));
+  }
+
+  static async downloadFile(filename, directory) {
+    const filePath = path.join(directory, filename);
+    await storage.download(filename, filePath);
+    return filePath;
+  }
+
+  static getStem(filename) {
+    const match = STEM_REGEX.exec(filename);
+    return match ? match[1] : null;
+  }
+
+  static async getStorageUsage(userId) {
+    const features = await PremiumService.getAvailableFeatures(userId);
+    const { _sum } = await prisma.receiptAsset.aggregate({
+      where: { user_id: userId },
+      _sum: { size_bytes: true },
+    });
+    const used = _sum.size_bytes || 0;
+    const limit = features.receipt_storage ? PREMIUM_QUOTA_BYTES : FREE_QUOTA_BYTES;
+    return {
+      used_bytes: used,
+      limit_bytes: limit,
+      remaining_bytes: Math.max(0, limit - used),
+      premium: features.receipt_storage,
+    };
+  }
+
+  // Move an uploaded file (multer's req.file) into storage and record it, with a
+  // thumbnail. A thumbnail that can't be made doesn't fail the upload.
+  static async createAsset(file, userId) {
+    let thumbnailFilename = null;
+    try {
+      thumbnailFilename = await this.createThumbnail(file);
+    } catch (error) {
+      console.error(`Failed to create thumbnail for ${file.filename}:`, error);
+    }
+    await storage.put(file.filename, file.path, file.mimetype);
+    await fs.promises.unlink(file.path).catch(() => {});
+    return prisma.receiptAsset.create({
+      data: {
+        user_id: userId || null,
+        filename: file.filename,
+        original_name: file.originalname || null,
+        mime_type: file.mimetype,
+        size_bytes: file.size,
+        thumbnail_filename: thumbnailFilename,
+      },
+    });
+  }
+
+  static async createThumbnail(file) {
+    const input = PdfReceiptReader.isPdf(file)
+      ? await PdfReceiptReader.renderFirstPage(file.path)
+      : file.path;
+    const thumbnailPath = path.join(path.dirname(file.path), `${path.parse(file.filename).name}-thumb.jpg`);
+    try {
+      await sharp(input)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toFile(thumbnailPath);
+      return await this.saveFile(thumbnailPath, 'image/jpeg');
+    } finally {
+      await fs.promises.unlink(thumbnailPath).catch(() => {});
+    }
+  }
+
+  // The asset a stored file belongs to: the upload itself or a file derived from it
+  static async findAssetForFile(filename) {
+    const stem = this.getStem(filename);
+    if (!stem || path.basename(filename) !== filename) return null;
+    return prisma.receiptAsset.findFirst({ where: { filename: { startsWith: stem } } });
+  }
+
+  // When a receipt is purged, null for receipts kept as long as their bill
+  static getExpiry(asset) {
+    if (asset.bill_id) return null;
+    const created = new Date(asset.created_at).getTime();
+    return asset.user_id
+      ? new Date(created + UNLINKED_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      : new Date(created + ANONYMOUS_RETENTION_HOURS * 60 * 60 * 1000);
+  }
+
+  // Link a receipt to a bill (or unlink with null), keeping the bill's image_url in step
+  static async linkToBill(asset, billId) {
+    const url = this.fileUrl(asset.filename);
+    return prisma.$transaction(async tx => {
+      if (asset.bill_id && asset.bill_id !== billId) {
+        await tx.bill.updateMany({ where: { id: asset.bill_id, image_url: url }, data: { image_url: null } });
+      }
+      if (billId) {
+        await tx.bill.updateMany({ where: { id: billId, image_url: null }, data: { image_url: url } });
+      }
+      return tx.receiptAsset.update({ where: { id: asset.id }, data: { bill_id: billId } });
+    });
+  }
+
+  // Delete the record, the upload and every file derived from it
+  static async deleteAsset(asset) {
+    await prisma.bill.updateMany({
+      where: { image_url: this.fileUrl(asset.filename) },
+      data: { image_url: null },
+    });
+    await prisma.receiptAsset.delete({ where: { id: asset.id } });
+    await this.deleteFiles(this.getStem(asset.filename) || path.parse(asset.filename).name);
+  }
+
+  static async deleteFiles(stem) {
+    const objects = await storage.list(stem);
+    await Promise.all(objects.map(object => storage.delete(object.key).catch(() => {})));
+  }
+
+  // [{ key, size, lastModified }] for every stored file
+  static listFiles() {
+    return storage.list();
+  }
+}
+
+ReceiptStorageService.WORK_DIR = WORK_DIR;
+ReceiptStorageService.UNLINKED_RETENTION_DAYS = UNLINKED_RETENTION_DAYS;
+ReceiptStorageService.ANONYMOUS_RETENTION_HOURS = ANONYMOUS_RETENTION_HOURS;
+
+module.exports = ReceiptStorageService;
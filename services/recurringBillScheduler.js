@@ -0,0 +1,163 @@
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../prismaClient');
+const PremiumService = require('./premiumService');
+const SplitService = require('./splitService');
+const CategoryService = require('./categoryService');
+const Money = require('../utils/money');
+const { getNextOccurrence } = require('../utils/schedule');
+
+const INTERVAL_MS = Number(process.env.RECURRING_BILLS_INTERVAL_MS) || 60 * 1000;
+
+// A schedule that was down for a long time creates at most this many bills at once
+const MAX_CATCH_UP_RUNS = 12;
+// Stop walking occurrences one by one after this many (e.g. a per-minute cron rule)
+const MAX_SCANNED_OCCURRENCES = 1000;
+
+class RecurringBillScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Run once immediately, which catches up on anything missed while the server was
+  // down, then poll for due schedules
+  start() {
+    if (this.timer) return;
+    this.runDueSchedules().catch(error => console.error('Recurring bill run failed:', error));
+    this.timer = setInterval(() => {
+      this.runDueSchedules().catch(error => console.error('Recurring bill run failed:', error));
+    }, INTERVAL_MS);
+    this.timer.unref();
+    console.log(`Recurring bill scheduler started (every ${INTERVAL_MS / 1000}s)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runDueSchedules(now = new Date()) {
+    // Skip overlapping runs if a previous one is still going
+    if (this.running) return;
+    this.running = true;
+    try {
+      const schedules = await prisma.recurringBill.findMany({
+        where: { active: true, next_run_at: { lte: now } },
+        include: {
+          template: { include: { participants: { orderBy: { created_at: 'asc' } } } },
+          products: { orderBy: { created_at: 'asc' } },
+        },
+      });
+      for (const schedule of schedules) {
+        try {
+          await this.processSchedule(schedule, now);
+        } catch (error) {
+          console.error(`Recurring bill ${schedule.id} failed:`, error);
+          await prisma.recurringBill.update({
+            where: { id: schedule.id },
+            data: { last_error: error.message },
+          });
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Create the bills for every occurrence due by `now` (only the latest one unless
+  // catch_up is set) and move next_run_at past `now`
+  async processSchedule(schedule, now) {
+    const occurrences = [];
+    let next = schedule.next_run_at;
+    while (next && next <= now && occurrences.length < MAX_SCANNED_OCCURRENCES) {
+      occurrences.push(next);
+      next = getNextOccurrence(schedule, next);
+    }
+    if (next && next <= now) {
+      next = getNextOccurrence(schedule, now);
+    }
+
+    const due = schedule.catch_up
+      ? occurrences.slice(-MAX_CATCH_UP_RUNS)
+      : occurrences.slice(-1);
+
+    let lastError = null;
+    for (const scheduledFor of due) {
+      // Free plans stop at their monthly limit; the missed occurrences are skipped
+      if (!(await PremiumService.canCreateBill(schedule.user_id))) {
+        lastError = 'Monthly bill limit reached';
+        break;
+      }
+      await this.createBill(schedule, scheduledFor);
+    }
+
+    await prisma.recurringBill.update({
+      where: { id: schedule.id },
+      data: { next_run_at: next, last_run_at: now, last_error: lastError },
+    });
+  }
+
+  // Materialise one occurrence: the template's participants plus the schedule's
+  // default product lines, each split equally between everyone
+  async createBill(schedule, scheduledFor) {
+    const participants = schedule.template.participants.map(participant => ({
+      id: uuidv4(),
+      name: participant.name,
+      color: participant.color,
+    }));
+    const productsTotal = Money.sum(schedule.products.map(p => p.price_minor * p.quantity));
+    const { shares } = SplitService.resolveProductSplit(
+      'equal',
+      participants.map(p => ({ participant_id: p.id })),
+      0,
+      schedule.currency
+    );
+    const productFields = await CategoryService.resolveProducts(schedule.user_id, schedule.products.map(p => p.name));
+
+    try {
+      await prisma.$transaction(async tx => {
+        const bill = await tx.bill.create({
+          data: {
+            id: uuidv4(),
+            user_id: schedule.user_id,
+            title: schedule.title.replace(/\{date\}/g, scheduledFor.toISOString().slice(0, 10)),
+            description: schedule.description,
+            currency: schedule.currency,
+            total_amount_minor: schedule.amount_minor ?? productsTotal,
+            recurring_bill_id: schedule.id,
+            scheduled_for: scheduledFor,
+            template_id: schedule.template_id,
+            participants: { create: participants },
+          },
+        });
+        // Products are created after the participants their shares point at
+        for (const [index, product] of schedule.products.entries()) {
+          await tx.product.create({
+            data: {
+              id: uuidv4(),
+              bill_id: bill.id,
+              name: product.name,
+              price_minor: product.price_minor,
+              quantity: product.quantity,
+              split_mode: 'equal',
+              ...productFields[index],
+              productParticipants: {
+                create: shares.map(share => ({
+                  id: uuidv4(),
+                  participant_id: share.participant_id,
+                  share_percentage: share.share_percentage,
+                })),
+              },
+            },
+          });
+        }
+      });
+    } catch (error) {
+      // Another instance already created this occurrence
+      if (error.code === 'P2002') return;
+      throw error;
+    }
+  }
+}
+
+module.exports = new RecurringBillScheduler();
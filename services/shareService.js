@@ -0,0 +1,47 @@
+const prisma = require('../prismaClient');
+const { generateToken, hashToken, daysFromNow } = require('../utils/tokens');
+
+const DEFAULT_EXPIRY_DAYS = 14;
+const MAX_EXPIRY_DAYS = 90;
+
+class ShareService {
+  static getShareUrl(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/shared/${token}`;
+  }
+
+  // Create a share link for a bill, or for one participant of it. Returns the
+  // stored share plus the raw token, which can't be recovered later.
+  static async createShare(billId, { participantId = null, expiresInDays = DEFAULT_EXPIRY_DAYS } = {}) {
+    const token = generateToken();
+    const share = await prisma.billShare.create({
+      data: {
+        bill_id: billId,
+        participant_id: participantId,
+        token_hash: hashToken(token),
+        expires_at: daysFromNow(expiresInDays),
+      },
+    });
+    return { share, token, url: this.getShareUrl(token) };
+  }
+
+  // Look up an unexpired, unrevoked share by its raw token
+  static async findActiveShare(token) {
+    if (typeof token !== 'string' || !token) return null;
+    const share = await prisma.billShare.findUnique({
+      where: { token_hash: hashToken(token) },
+    });
+    if (!share || share.revoked_at || share.expires_at <= new Date()) {
+      return null;
+    }
+    return share;
+  }
+
+  static isActive(share) {
+    return !share.revoked_at && share.expires_at > new Date();
+  }
+}
+
+ShareService.DEFAULT_EXPIRY_DAYS = DEFAULT_EXPIRY_DAYS;
+ShareService.MAX_EXPIRY_DAYS = MAX_EXPIRY_DAYS;
+
+module.exports = ShareService;
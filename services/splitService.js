@@ -0,0 +1,246 @@
+const Money = require('../utils/money');
+
+// All amounts in and out of this service are integer minor units (see utils/money)
+const SPLIT_MODES = ['equal', 'percentage', 'exact', 'shares'];
+const ADJUSTMENT_TYPES = ['tax', 'tip', 'discount', 'delivery_fee', 'service_charge'];
+const ADJUSTMENT_CALCULATIONS = ['fixed', 'percentage'];
+const ADJUSTMENT_SPLIT_METHODS = ['proportional', 'equal'];
+
+class SplitService {
+  // Split a product's cost across its assigned participants by share_percentage,
+  // using the largest-remainder rule so the shares add up to the product total
+  static getProductShares(product) {
+    const productParticipants = product.productParticipants || [];
+    const amounts = Money.allocate(
+      product.price_minor * product.quantity,
+      productParticipants.map(pp => pp.share_percentage),
+      productParticipants.map(pp => pp.participant_id)
+    );
+
+    return productParticipants.map((pp, index) => ({
+      participant_id: pp.participant_id,
+      amount: amounts[index],
+    }));
+  }
+
+  // Turn a product's split mode and raw per-participant values into stored shares.
+  // Exact split values arrive as decimal amounts and are stored in minor units.
+  // Returns { error } when the values don't add up to the product total.
+  static resolveProductSplit(splitMode, splits, productTotalMinor, currency) {
+    if (!SPLIT_MODES.includes(splitMode)) {
+      return { error: `Split mode must be one of: ${SPLIT_MODES.join(', ')}` };
+    }
+    const participantIds = splits.map(split => split.participant_id);
+    if (participantIds.some(id => !id)) {
+      return { error: 'Each split requires a participant_id' };
+    }
+    if (new Set(participantIds).size !== participantIds.length) {
+      return { error: 'Each participant can only be listed once per product' };
+    }
+    if (splits.length === 0) {
+      return { shares: [] };
+    }
+
+    if (splitMode === 'equal') {
+      return {
+        shares: splits.map(split => ({
+          participant_id: split.participant_id,
+          share_value: null,
+          share_percentage: 100 / splits.length,
+        })),
+      };
+    }
+
+    if (splits.some(split => !Money.isValidAmount(split.value, splitMode === 'exact' ? currency : null) || split.value < 0)) {
+      return { error: 'Each split value must be a non-negative number' };
+    }
+    const values = splitMode === 'exact'
+      ? splits.map(split => Money.toMinorUnits(split.value, currency))
+      : splits.map(split => split.value);
+    const totalValue = Money.sum(values);
+
+    if (splitMode === 'percentage' && Math.abs(totalValue - 100) > 0.01) {
+      return { error: 'Split percentages must add up to 100' };
+    }
+    if (splitMode === 'exact' && totalValue !== productTotalMinor) {
+      return { error: `Split amounts must add up to the product total of ${Money.formatAmount(productTotalMinor, currency)}` };
+    }
+    if (splitMode === 'shares' && values.some(value => !Number.isInteger(value))) {
+      return { error: 'Share counts must be whole numbers' };
+    }
+    if (totalValue <= 0) {
+      return { error: 'Split values must add up to more than zero' };
+    }
+
+    return {
+      shares: splits.map((split, index) => ({
+        participant_id: split.participant_id,
+        share_value: values[index],
+        share_percentage: (values[index] * 100) / totalValue,
+      })),
+    };
+  }
+
+  // Sum every participant's product shares (participants without products owe 0)
+  static getParticipantTotals(participants, products) {
+    const participantTotals = {};
+    participants.forEach(participant => {
+      participantTotals[participant.id] = 0;
+    });
+
+    products.forEach(product => {
+      this.getProductShares(product).forEach(share => {
+        if (participantTotals[share.participant_id] === undefined) {
+          participantTotals[share.participant_id] = 0;
+        }
+        participantTotals[share.participant_id] += share.amount;
+      });
+    });
+
+    return participantTotals;
+  }
+
+  // Resolve a bill adjustment to a signed amount; discounts reduce what everyone owes.
+  // Percentages are rounded once here, before the amount is allocated.
+  static getAdjustmentAmount(adjustment, subtotal) {
+    const amount = adjustment.calculation === 'percentage'
+      ? Math.round((subtotal * adjustment.percentage) / 100)
+      : adjustment.amount_minor;
+    return adjustment.type === 'discount' ? -amount : amount;
+  }
+
+  // An adjustment's `value` as clients send it: a percentage, or a decimal amount
+  // for fixed adjustments (stored in minor units)
+  static getAdjustmentValue(adjustment, currency) {
+    return adjustment.calculation === 'percentage'
+      ? adjustment.percentage
+      : Money.fromMinorUnits(adjustment.amount_minor, currency);
+  }
+
+  // Split an adjustment amount across participants, either in proportion to their
+  // item totals or evenly. Proportional splits fall back to even when nothing is assigned.
+  static allocateAdjustment(adjustment, amount, participants, itemTotals) {
+    if (participants.length === 0) return [];
+    const itemsSubtotal = Money.sum(participants.map(p => itemTotals[p.id] || 0));
+    const weights = adjustment.split_method !== 'equal' && itemsSubtotal > 0
+      ? participants.map(p => itemTotals[p.id] || 0)
+      : participants.map(() => 1);
+    const amounts = Money.allocate(amount, weights, participants.map(p => p.id));
+
+    return participants.map((p, index) => ({
+      participant_id: p.id,
+      amount: amounts[index],
+    }));
+  }
+
+  // Item shares plus allocated tax, tip, discounts and fees for every participant
+  static getBillTotals(participants, products, adjustments = []) {
+    const itemTotals = this.getParticipantTotals(participants, products);
+    const subtotal = Money.sum(products.map(p => p.price_minor * p.quantity));
+    const adjustmentTotals = {};
+    Object.keys(itemTotals).forEach(participantId => {
+      adjustmentTotals[participantId] = 0;
+    });
+
+    const allocatedAdjustments = adjustments.map(adjustment => {
+      const amount = this.getAdjustmentAmount(adjustment, subtotal);
+      const allocations = this.allocateAdjustment(adjustment, amount, participants, itemTotals);
+      allocations.forEach(allocation => {
+        adjustmentTotals[allocation.participant_id] += allocation.amount;
+      });
+      return { ...adjustment, amount, allocations };
+    });
+
+    const participantTotals = {};
+    Object.keys(itemTotals).forEach(participantId => {
+      participantTotals[participantId] = itemTotals[participantId] + (adjustmentTotals[participantId] || 0);
+    });
+
+    return {
+      subtotal,
+      itemTotals,
+      adjustmentTotals,
+      participantTotals,
+      adjustments: allocatedAdjustments,
+    };
+  }
+
+  // Net position per participant: positive means they are owed money. `paid` covers
+  // both what they fronted for the bill and settle-up payments they sent.
+  static getBalances(participants, participantTotals, payers = [], payments = []) {
+    const paidTotals = {};
+    const receivedTotals = {};
+    payers.forEach(payer => {
+      paidTotals[payer.participant_id] = (paidTotals[payer.participant_id] || 0) + payer.amount_minor;
+    });
+    payments.forEach(payment => {
+      paidTotals[payment.payer_id] = (paidTotals[payment.payer_id] || 0) + payment.amount_minor;
+      receivedTotals[payment.payee_id] = (receivedTotals[payment.payee_id] || 0) + payment.amount_minor;
+    });
+
+    return participants.map(participant => {
+      const owed = participantTotals[participant.id] || 0;
+      const paid = paidTotals[participant.id] || 0;
+      const received = receivedTotals[participant.id] || 0;
+      return {
+        participant_id: participant.id,
+        name: participant.name,
+        paid,
+        received,
+        owed,
+        balance: paid - received - owed,
+      };
+    });
+  }
+
+  // Same as getBalances, keyed by participant id
+  static getBalancesById(participants, participantTotals, payers = [], payments = []) {
+    const balances = {};
+    this.getBalances(participants, participantTotals, payers, payments).forEach(balance => {
+      balances[balance.participant_id] = balance;
+    });
+    return balances;
+  }
+
+  // Greedily match the largest debtor with the largest creditor until everyone is
+  // settled. This produces at most (n - 1) transfers for n participants.
+  static getSettlementTransfers(balances) {
+    const creditors = [];
+    const debtors = [];
+    balances.forEach(b => {
+      if (b.balance > 0) creditors.push({ participant_id: b.participant_id, name: b.name, amount: b.balance });
+      if (b.balance < 0) debtors.push({ participant_id: b.participant_id, name: b.name, amount: -b.balance });
+    });
+
+    const transfers = [];
+    while (creditors.length > 0 && debtors.length > 0) {
+      creditors.sort((a, b) => b.amount - a.amount);
+      debtors.sort((a, b) => b.amount - a.amount);
+      const creditor = creditors[0];
+      const debtor = debtors[0];
+      const amount = Math.min(creditor.amount, debtor.amount);
+
+      transfers.push({
+        from_participant_id: debtor.participant_id,
+        from_name: debtor.name,
+        to_participant_id: creditor.participant_id,
+        to_name: creditor.name,
+        amount,
+      });
+
+      creditor.amount -= amount;
+      debtor.amount -= amount;
+      if (creditor.amount === 0) creditors.shift();
+      if (debtor.amount === 0) debtors.shift();
+    }
+
+    return transfers;
+  }
+}
+
+SplitService.SPLIT_MODES = SPLIT_MODES;
+SplitService.ADJUSTMENT_TYPES = ADJUSTMENT_TYPES;
+SplitService.ADJUSTMENT_CALCULATIONS = ADJUSTMENT_CALCULATIONS;
+SplitService.ADJUSTMENT_SPLIT_METHODS = ADJUSTMENT_SPLIT_METHODS;
+
+module.exports = SplitService;
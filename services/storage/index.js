@@ -0,0 +1,34 @@
+const path = require('path');
+const crypto = require('crypto');
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+
+// Where uploaded receipts and the images derived from them are kept, chosen by
+// STORAGE_DRIVER: "local" (default, a directory on this server) or "s3" (any
+// S3-compatible service). Every driver implements put, download, exists, delete,
+// list and getSignedUrl; keys are file names.
+function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || 'local';
+  if (driver === 'local') {
+    return new LocalStorage({
+      directory: env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../uploads'),
+      // Without a configured secret, signed URLs only work until the server restarts
+      signingSecret: env.STORAGE_SIGNING_SECRET || env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+    });
+  }
+  if (driver === 's3') {
+    return new S3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== undefined ? env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+      prefix: env.S3_PREFIX || '',
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "local" or "s3")`);
+}
+
+module.exports = createStorage();
+module.exports.createStorage = createStorage;
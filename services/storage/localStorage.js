@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Files in a directory on this server's disk. Download URLs point at
+// GET /api/files/:key, which checks the HMAC signature and expiry.
+class LocalStorage {
+  constructor({ directory, signingSecret, urlPrefix = '/api/files' }) {
+    this.name = 'local';
+    this.directory = directory;
+    this.signingSecret = signingSecret;
+    this.urlPrefix = urlPrefix;
+  }
+
+  getPath(key) {
+    // Keys are single file names; anything else could escape the directory
+    if (!key || path.basename(key) !== key) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return path.join(this.directory, key);
+  }
+
+  async put(key, filePath) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.copyFile(filePath, this.getPath(key));
+  }
+
+  async download(key, filePath) {
+    await fs.promises.copyFile(this.getPath(key), filePath);
+  }
+
+  async exists(key) {
+    return fs.existsSync(this.getPath(key));
+  }
+
+  async delete(key) {
+    await fs.promises.unlink(this.getPath(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  // [{ key, size, lastModified }] for every file whose name starts with `prefix`
+  async list(prefix = '') {
+    const files = await fs.promises.readdir(this.directory).catch(() => []);
+    const objects = [];
+    for (const file of files.filter(name => name.startsWith(prefix) && !name.startsWith('.'))) {
+      const stats = await fs.promises.stat(path.join(this.directory, file)).catch(() => null);
+      if (stats && stats.isFile()) {
+        objects.push({ key: file, size: stats.size, lastModified: stats.mtime });
+      }
+    }
+    return objects;
+  }
+
+  async getSignedUrl(key, { expiresIn }) {
+    this.getPath(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${this.urlPrefix}/${encodeURIComponent(key)}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  verifySignedUrl(key, expires, signature) {
+    if (!/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000 || typeof signature !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(key, expires));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}:${expires}`).digest('hex');
+  }
+}
+
+module.exports = LocalStorage;
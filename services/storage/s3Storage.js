@@ -0,0 +1,92 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Objects in an S3 bucket or an S3-compatible service (MinIO, R2, ...) when an
+// endpoint is given. Keys are stored under an optional prefix.
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      // MinIO-style services usually don't have per-bucket hostnames
+      forcePathStyle: forcePathStyle !== undefined ? forcePathStyle : Boolean(endpoint),
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+      // Not every S3-compatible service understands the SDK's default streamed
+      // checksums (they end up stored in the object), so only send them when required
+      ...(endpoint ? { requestChecksumCalculation: 'WHEN_REQUIRED', responseChecksumValidation: 'WHEN_REQUIRED' } : {}),
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async put(key, filePath, contentType) {
+    const { size } = await fs.promises.stat(filePath);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: fs.createReadStream(filePath),
+      ContentLength: size,
+      ContentType: contentType,
+    }));
+  }
+
+  async download(key, filePath) {
+    const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+    await pipeline(Body, fs.createWriteStream(filePath));
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return false;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+  }
+
+  // [{ key, size, lastModified }] for every object whose key starts with `prefix`
+  async list(prefix = '') {
+    const objects = [];
+    let ContinuationToken;
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        ContinuationToken,
+      }));
+      for (const object of page.Contents || []) {
+        objects.push({ key: object.Key.slice(this.prefix.length), size: object.Size, lastModified: object.LastModified });
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return objects;
+  }
+
+  getSignedUrl(key, { expiresIn }) {
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }), { expiresIn });
+  }
+}
+
+module.exports = S3Storage;
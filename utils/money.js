@@ -0,0 +1,82 @@
+// Money is stored and calculated as integer minor units (cents for most currencies).
+// Decimal amounts only exist at the API boundary: convert incoming amounts with
+// toMinorUnits and format outgoing ones with formatAmount.
+
+const DEFAULT_CURRENCY = 'USD';
+
+// ISO 4217 currencies whose minor unit isn't 1/100
+const MINOR_UNIT_EXPONENTS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+};
+
+// Minor-unit columns are Postgres integers, so one amount (and one bill total) can
+// be at most 2,147,483,647 minor units: 21,474,836.47 in a 2-decimal currency,
+// 2,147,483,647 JPY, 2,147,483.647 KWD. For large-denomination currencies such as
+// IDR, COP or LBP that cap is within reach of real bills.
+const MAX_MINOR_UNITS = 2 ** 31 - 1;
+
+function getMinorUnitExponent(currency = DEFAULT_CURRENCY) {
+  return MINOR_UNIT_EXPONENTS[currency] ?? 2;
+}
+
+// Decimal amount (e.g. 12.34) to integer minor units (1234). toPrecision strips
+// binary noise such as 1.005 * 100 = 100.49999999999999 before rounding.
+function toMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+  const factor = 10 ** getMinorUnitExponent(currency);
+  return Math.round(parseFloat((Number(amount) * factor).toPrecision(12)));
+}
+
+function fromMinorUnits(amountMinor, currency = DEFAULT_CURRENCY) {
+  return amountMinor / 10 ** getMinorUnitExponent(currency);
+}
+
+// Fixed-point string for API output, e.g. 1234 -> "12.34" (USD) or 1234 -> "1234" (JPY)
+function formatAmount(amountMinor, currency = DEFAULT_CURRENCY) {
+  return fromMinorUnits(amountMinor || 0, currency).toFixed(getMinorUnitExponent(currency));
+}
+
+// With a currency, the amount must also fit in a minor-unit column
+function isValidAmount(amount, currency = null) {
+  return typeof amount === 'number' && Number.isFinite(amount)
+    && (currency === null || Math.abs(toMinorUnits(amount, currency)) <= MAX_MINOR_UNITS);
+}
+
+function sum(amounts) {
+  return amounts.reduce((total, amount) => total + amount, 0);
+}
+
+// Split an integer total across weights with the largest-remainder rule: everyone
+// gets the floor of their exact share and the leftover units go to the largest
+// fractional remainders. The parts always add up to the total exactly. Ties go to
+// the lowest tie-break key so results never depend on database row order.
+function allocate(totalMinor, weights, tieBreakKeys = weights.map((_, index) => index)) {
+  const totalWeight = sum(weights);
+  if (!(totalWeight > 0)) return weights.map(() => 0);
+
+  const exact = weights.map(weight => (totalMinor * weight) / totalWeight);
+  const parts = exact.map(Math.floor);
+  let remainder = totalMinor - sum(parts);
+
+  const order = exact
+    .map((value, index) => ({ index, fraction: value - parts[index] }))
+    .sort((a, b) => b.fraction - a.fraction
+      || String(tieBreakKeys[a.index]).localeCompare(String(tieBreakKeys[b.index])));
+  for (let i = 0; remainder > 0; i = (i + 1) % order.length, remainder--) {
+    parts[order[i].index] += 1;
+  }
+  return parts;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  MAX_MINOR_UNITS,
+  getMinorUnitExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  formatAmount,
+  isValidAmount,
+  sum,
+  allocate,
+};
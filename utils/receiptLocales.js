@@ -0,0 +1,197 @@
+// Receipt locales: how amounts are written (decimal and thousands separators),
+// the usual currency, the Tesseract language to read them with and the words used
+// for subtotal, tax and total lines. `taxIncluded` locales print VAT-inclusive
+// shelf prices, so printed tax is for reference rather than added on top.
+// Used by the receipt parser and the OCR service.
+
+const LOCALES = [
+  {
+    id: 'en-US',
+    language: 'eng',
+    decimalSeparator: '.',
+    currency: 'USD',
+    keywords: { subtotal: [], tax: [], total: [], headerFooter: [] },
+  },
+  {
+    id: 'en-GB',
+    language: 'eng',
+    decimalSeparator: '.',
+    currency: 'GBP',
+    taxIncluded: true,
+    keywords: { subtotal: [], tax: [], total: ['balance to pay'], headerFooter: ['balance'] },
+  },
+  {
+    id: 'en-IN',
+    language: 'eng',
+    decimalSeparator: '.',
+    currency: 'INR',
+    keywords: {
+      subtotal: ['taxable value'],
+      tax: ['cgst', 'sgst', 'igst'],
+      total: ['net amount', 'net payable', 'bill amount'],
+      headerFooter: ['gstin', 'invoice', 'bill no'],
+    },
+  },
+  {
+    id: 'de-DE',
+    language: 'deu',
+    decimalSeparator: ',',
+    currency: 'EUR',
+    taxIncluded: true,
+    keywords: {
+      subtotal: ['zwischensumme'],
+      tax: ['mwst', 'ust'],
+      total: ['summe', 'gesamt', 'zu zahlen'],
+      headerFooter: ['datum', 'uhrzeit', 'kasse', 'beleg', 'vielen dank', 'rückgeld', 'gegeben', 'steuer'],
+    },
+  },
+  {
+    id: 'fr-FR',
+    language: 'fra',
+    decimalSeparator: ',',
+    currency: 'EUR',
+    taxIncluded: true,
+    keywords: {
+      subtotal: ['sous-total', 'sous total'],
+      tax: ['tva'],
+      total: ['total', 'à payer', 'net a payer'],
+      headerFooter: ['caisse', 'merci', 'rendu', 'ticket', 'heure'],
+    },
+  },
+  {
+    id: 'es-ES',
+    language: 'spa',
+    decimalSeparator: ',',
+    currency: 'EUR',
+    taxIncluded: true,
+    keywords: {
+      subtotal: ['subtotal', 'base imponible'],
+      tax: ['iva'],
+      total: ['total', 'importe'],
+      headerFooter: ['factura', 'gracias', 'cambio', 'ticket', 'fecha', 'hora'],
+    },
+  },
+  {
+    id: 'it-IT',
+    language: 'ita',
+    decimalSeparator: ',',
+    currency: 'EUR',
+    taxIncluded: true,
+    keywords: {
+      subtotal: ['subtotale'],
+      tax: ['iva'],
+      total: ['totale', 'importo'],
+      headerFooter: ['scontrino', 'grazie', 'resto', 'contanti'],
+    },
+  },
+  {
+    id: 'nl-NL',
+    language: 'nld',
+    decimalSeparator: ',',
+    currency: 'EUR',
+    taxIncluded: true,
+    keywords: {
+      subtotal: ['subtotaal'],
+      tax: ['btw'],
+      total: ['totaal', 'te betalen'],
+      headerFooter: ['kassa', 'bedankt', 'wisselgeld', 'kassabon', 'datum', 'tijd'],
+    },
+  },
+];
+
+const localesById = new Map(LOCALES.map(locale => [locale.id.toLowerCase(), locale]));
+
+// Keywords match whole words only ("ust" is VAT, "Wurst" is a sausage)
+const keywordPatterns = new Map(LOCALES.map(locale => [locale.id, Object.fromEntries(
+  Object.entries(locale.keywords).map(([kind, words]) => [
+    kind,
+    words.length > 0 ? new RegExp(`(?<!\\p{L})(?:${words.join('|')})(?!\\p{L})`, 'iu') : null,
+  ])
+)]));
+
+// Currency symbols before or after an amount ("$3.49", "3,49 €", "Rs. 120.00")
+const CURRENCY_SYMBOL = '(?:[$€£₹¥]|rs\\.?|inr|eur|usd|gbp)';
+// Thousands groups: "1,234.56" / "1,20,000.00" (Indian) or "1.234,56" / "1 234,56"
+const NUMBER_PATTERNS = {
+  '.': '\\d{1,3}(?:,\\d{2,3})*,\\d{3}\\.\\d{2}|\\d+\\.\\d{2}',
+  ',': '\\d{1,3}(?:[.\\u00a0\\u202f\']\\d{3})+,\\d{2}|\\d+,\\d{2}',
+};
+
+// Locale for a hint such as "de-DE", "de" or the Tesseract code "deu".
+// Returns { locale } or { error }.
+function resolveLocale(hint) {
+  const value = String(hint).trim().toLowerCase().replace('_', '-');
+  const locale = localesById.get(value)
+    || LOCALES.find(candidate => candidate.id.toLowerCase().split('-')[0] === value)
+    || LOCALES.find(candidate => candidate.language === value);
+  if (!locale) {
+    return { error: `Unsupported locale "${hint}" (supported: ${LOCALES.map(candidate => candidate.id).join(', ')})` };
+  }
+  return { locale };
+}
+
+function getLocale(id) {
+  return localesById.get(String(id).toLowerCase()) || null;
+}
+
+// Whether a line has one of the locale's subtotal, tax, total or headerFooter words
+function hasKeyword(locale, kind, line) {
+  const pattern = keywordPatterns.get(locale.id)[kind];
+  return Boolean(pattern && pattern.test(line));
+}
+
+// Best guess from the receipt itself: the decimal separator most amounts use,
+// then currency symbols and locale keywords to pick between the locales using it
+function detectLocale(text) {
+  const lowerText = text.toLowerCase();
+  const dotAmounts = (text.match(/\d\.\d{2}(?!\d)/g) || []).length;
+  const commaAmounts = (text.match(/\d,\d{2}(?!\d)/g) || []).length;
+  const decimalSeparator = commaAmounts > dotAmounts ? ',' : '.';
+
+  const currencyHints = { '₹': 'INR', 'rs.': 'INR', 'rs ': 'INR', '£': 'GBP', '$': 'USD', '€': 'EUR' };
+  const printedCurrencies = new Set(Object.entries(currencyHints)
+    .filter(([symbol]) => lowerText.includes(symbol))
+    .map(([, currency]) => currency));
+
+  let best = null;
+  let bestScore = -1;
+  for (const locale of LOCALES.filter(candidate => candidate.decimalSeparator === decimalSeparator)) {
+    const keywordLines = text.split('\n').filter(line => Object.keys(locale.keywords)
+      .some(kind => hasKeyword(locale, kind, line))).length;
+    const score = keywordLines * 2 + (printedCurrencies.has(locale.currency) ? 3 : 0);
+    if (score > bestScore) {
+      best = locale;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Regex source for one amount in the locale, with an optional currency symbol
+// before or after it. Percentages ("7,00 %") aren't amounts.
+function getPricePattern(locale) {
+  const number = NUMBER_PATTERNS[locale.decimalSeparator];
+  return `(?:${CURRENCY_SYMBOL}\\s?)?(?:${number})(?!\\d|\\s?%)(?:\\s?${CURRENCY_SYMBOL}(?![a-z]))?`;
+}
+
+// Number in an amount as the locale writes it: "1.234,56 €" → 1234.56,
+// "₹ 1,20,000.00" → 120000. Also reads plain counts and weights ("0,452").
+function parseAmount(value, decimalSeparator = '.') {
+  const match = /\d[\d.,\u00a0\u202f']*/.exec(value);
+  if (!match) return NaN;
+  const number = match[0].replace(/[.,]$/, '');
+  const normalized = decimalSeparator === ','
+    ? number.replace(/[.\u00a0\u202f']/g, '').replace(',', '.')
+    : number.replace(/[,\u00a0\u202f']/g, '');
+  return parseFloat(normalized);
+}
+
+module.exports = {
+  LOCALES,
+  resolveLocale,
+  getLocale,
+  hasKeyword,
+  detectLocale,
+  getPricePattern,
+  parseAmount,
+};
@@ -0,0 +1,464 @@
+// Receipt text parsing: turns OCR output into product lines, totals, tax and a
+// best-guess currency. Receipts from stores with a profile in utils/receiptProfiles
+// are parsed with that profile's line grammar; everything else goes through the
+// generic keyword parser, which reads amounts the way the receipt's locale writes
+// them (see utils/receiptLocales.js).
+
+const ReceiptProfiles = require('./receiptProfiles');
+const ReceiptLocales = require('./receiptLocales');
+
+// Currency symbols and codes the receipt parser recognises
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CAD', 'AUD', 'CHF'];
+const WEIGHT_UNITS = 'kg|g|lbs?|oz';
+// Tills round weight × unit price, so allow a cent either way against the line total
+const LINE_TOTAL_TOLERANCE_CENTS = 1;
+// Anything that looks like an amount, even when OCR garbled it ("2,98", "2. 98").
+// Lines with one that no rule understood are reported as unparsed.
+const LOOSE_PRICE_REGEX = /\d\s?[.,]\s?\d{2}(?!\d)/;
+// Wording that says a total already includes the tax
+const INCLUSIVE_TAX_REGEX = /\b(inc|incl|including|included|inclusive|inkl|inklusive|enthalten|inclus|incluse|incluido|incluida|inclusa|inbegrepen)\b/i;
+
+// Generic item grammar for a locale's amounts, tried in order. Rules that match
+// without a name describe the item on the line above (or the wrapped name line
+// above). Prices can be followed by a one- or two-letter tax flag.
+function buildLineRules(PRICE) {
+  const WEIGHT = '\\d+(?:[.,]\\d+)?';
+  return [
+    // 0.452 kg @ 3.99/kg 1.80, optionally after the name
+    { pattern: new RegExp(`^(?:(?<name>.*?[a-z].*?)\\s+)?(?<weight>${WEIGHT})\\s*(?<unit>${WEIGHT_UNITS})\\s*(?:@|x|×)\\s*(?<unit_price>${PRICE})\\s*/\\s*(?:${WEIGHT_UNITS})(?:\\s+(?<price>${PRICE}))?(?:\\s+[a-z*]{1,2})?$`, 'i') },
+    // 2 @ 1.49 2.98, optionally after the name
+    { pattern: new RegExp(`^(?:(?<name>.*?[a-z].*?)\\s+)?(?<quantity>\\d+)\\s*(?:@|x|×)\\s*(?<unit_price>${PRICE})(?:\\s+(?<price>${PRICE}))?(?:\\s+[a-z*]{1,2})?$`, 'i') },
+    // 2 MILK 2.98 or 2 x MILK 2.98
+    { pattern: new RegExp(`^(?<quantity>\\d{1,2})\\s+(?:x\\s+)?(?<name>[^\\d\\s].*?)\\s+(?<price>${PRICE})(?:\\s+[a-z*]{1,2})?$`, 'i'), leadingQuantity: true },
+    // MILK 1.49 2.98 (unit price, then line total)
+    { pattern: new RegExp(`^(?<name>.*?[a-z].*?)\\s+(?<unit_price>${PRICE})\\s+(?<price>${PRICE})(?:\\s+[a-z*]{1,2})?$`, 'i') },
+    // MILK 2.98
+    { pattern: new RegExp(`^(?<name>.*?[a-z].*?)\\s+(?<price>${PRICE})(?:\\s+[a-z*]{1,2})?$`, 'i') },
+  ];
+}
+
+const grammars = new Map();
+
+// Price pattern, line rules and number reader for a locale, built once
+function getGrammar(locale) {
+  if (!grammars.has(locale.id)) {
+    const price = ReceiptLocales.getPricePattern(locale);
+    grammars.set(locale.id, {
+      priceRegex: new RegExp(price, 'i'),
+      rules: buildLineRules(price),
+      parsePrice: value => ReceiptLocales.parseAmount(value, locale.decimalSeparator),
+    });
+  }
+  return grammars.get(locale.id);
+}
+
+// Parse bill text to extract products and prices. `options.profile` forces a
+// profile by id instead of detecting one from the header. `options.ocrLines`
+// ([{ text, words: [confidence] }] from Tesseract) adds a confidence to each
+// product and unparsed line. `options.locale` ("de-DE", "de", ...) says how
+// amounts are written; without it the locale is detected from the text.
+function parseBillText(text, options = {}) {
+  const confidences = options.ocrLines ? buildConfidenceLookup(options.ocrLines) : null;
+  const hintedLocale = options.locale ? ReceiptLocales.resolveLocale(options.locale).locale : null;
+  const locale = hintedLocale || ReceiptLocales.detectLocale(text);
+  // A hinted locale implies its currency when none is printed; a guessed one doesn't
+  const currency = detectCurrency(text) || (hintedLocale ? hintedLocale.currency : null);
+  const profile = (options.profile && ReceiptProfiles.getProfile(options.profile))
+    || ReceiptProfiles.detectProfile(text);
+  if (profile) {
+    return { ...parseWithProfile(text, profile, confidences, currency), locale: profile.locale || locale.id };
+  }
+  return { ...parseGenericText(text, confidences, locale), currency, locale: locale.id, profile: null };
+}
+
+// Generic parser: any line with a price is a product unless it looks like a
+// header, footer or totals line
+function parseGenericText(text, confidences, locale) {
+  const { priceRegex, parsePrice } = getGrammar(locale);
+  const lines = text.split('\n').filter(line => line.trim());
+  const items = [];
+  const warnings = [];
+  const unparsedLines = [];
+  let totalAmount = 0;
+  let subtotal = 0;
+  let taxAmount = 0;
+  // Name-only lines waiting for the price line below them (an item name wrapped
+  // onto two lines)
+  let pendingLines = [];
+  
+  for (const line of lines) {
+    const trimmedLine = line.trim();
+    
+    // Subtotal, tax and total lines are checked before the header/footer skip,
+    // which would otherwise swallow them
+    if (isSubtotalLine(trimmedLine, locale)) {
+      const subtotalMatch = trimmedLine.match(priceRegex);
+      if (subtotalMatch) {
+        subtotal = parsePrice(subtotalMatch[0]);
+      }
+      continue;
+    }
+    
+    if (isTaxLine(trimmedLine, locale)) {
+      const taxMatch = trimmedLine.match(priceRegex);
+      if (taxMatch) {
+        taxAmount += parsePrice(taxMatch[0]);
+      }
+      continue;
+    }
+    
+    // Look for total amount
+    if (isTotalLine(trimmedLine, locale)) {
+      const totalMatch = trimmedLine.match(priceRegex);
+      if (totalMatch) {
+        totalAmount = parsePrice(totalMatch[0]);
+      }
+      continue;
+    }
+    
+    // Skip header/footer lines
+    if (isHeaderFooter(trimmedLine, locale)) {
+      pendingLines = [];
+      continue;
+    }
+    
+    const item = extractItemFromLine(trimmedLine, locale);
+    if (!item) {
+      if (looksLikeName(trimmedLine)) {
+        pendingLines.push(trimmedLine);
+      } else {
+        pendingLines = [];
+        if (LOOSE_PRICE_REGEX.test(trimmedLine)) unparsedLines.push(trimmedLine);
+      }
+      continue;
+    }
+    
+    if (!item.name) {
+      // A quantity or weight line names the wrapped line above, or else adds
+      // detail to the item above
+      if (pendingLines.length > 0) {
+        items.push({ ...item, name: pendingLines.join(' '), lines: [...pendingLines, trimmedLine] });
+      } else if (items.length > 0) {
+        mergeDetail(items[items.length - 1], item, trimmedLine);
+      } else {
+        unparsedLines.push(trimmedLine);
+      }
+    } else {
+      item.lines = [trimmedLine];
+      // Before the first item a name-only line is more likely the store header
+      if (pendingLines.length > 0 && items.length > 0) {
+        item.name = `${pendingLines.join(' ')} ${item.name}`;
+        item.lines = [...pendingLines, trimmedLine];
+      }
+      if (item.name.length >= 2 && !isHeaderFooter(item.name, locale)) {
+        items.push(item);
+      } else {
+        unparsedLines.push(trimmedLine);
+      }
+    }
+    pendingLines = [];
+  }
+  
+  // Printed tax becomes a suggested bill adjustment the client can apply as-is,
+  // unless the locale's prices already include it
+  const adjustments = taxAmount > 0 && !locale.taxIncluded
+    ? [{ type: 'tax', calculation: 'fixed', value: taxAmount, split_method: 'proportional' }]
+    : [];
+  
+  return {
+    products: toProducts(items, warnings, confidences),
+    totalAmount,
+    subtotal,
+    taxAmount,
+    adjustments,
+    warnings,
+    unparsedLines: withConfidence(unparsedLines, confidences),
+    rawText: text
+  };
+}
+
+// Profile grammar parser. Item rules capture line totals, quantities, weights and
+// codes; continuation rules add detail to the item above.
+function parseWithProfile(text, profile, confidences, detectedCurrency) {
+  const readNumber = profile.parsePrice || (value => parseProfileNumber(value, profile.decimalSeparator));
+  const items = [];
+  const warnings = [];
+  const unparsedLines = [];
+  let totalAmount = 0;
+  let subtotal = 0;
+  let taxAmount = 0;
+  let discountAmount = 0;
+
+  for (const line of text.split('\n').map(line => line.trim()).filter(Boolean)) {
+    if (profile.skip.some(pattern => pattern.test(line))) continue;
+
+    const subtotalMatch = matchGroups(profile.totals.subtotal, line);
+    if (subtotalMatch) {
+      if (subtotalMatch.price) subtotal = readNumber(subtotalMatch.price);
+      continue;
+    }
+    const taxMatch = matchGroups(profile.totals.tax, line);
+    if (taxMatch) {
+      if (taxMatch.price) taxAmount += readNumber(taxMatch.price);
+      continue;
+    }
+    const totalMatch = matchGroups(profile.totals.total, line);
+    if (totalMatch) {
+      if (totalMatch.price) totalAmount = readNumber(totalMatch.price);
+      continue;
+    }
+
+    // Discounts naming an item code come off that item; the rest off the bill
+    const discountMatch = matchGroups(profile.discounts, line);
+    if (discountMatch) {
+      const amount = discountMatch.price ? Math.abs(readNumber(discountMatch.price)) : 0;
+      const item = discountMatch.code && items.find(candidate => candidate.code === discountMatch.code);
+      if (item && item.price !== undefined) {
+        item.price = roundPrice(item.price - amount);
+        item.lines.push(line);
+      } else {
+        discountAmount += amount;
+      }
+      continue;
+    }
+
+    const rule = profile.lines.find(candidate => candidate.pattern.test(line));
+    const fields = rule ? readLineFields(line.match(rule.pattern).groups || {}, readNumber) : null;
+    if (rule && rule.appliesTo === 'previous' && items.length > 0) {
+      mergeDetail(items[items.length - 1], fields, line);
+    } else if (rule && rule.appliesTo !== 'previous' && fields.name) {
+      items.push({ ...fields, lines: [line] });
+    } else if (LOOSE_PRICE_REGEX.test(line)) {
+      unparsedLines.push(line);
+    }
+  }
+
+  // Stores that print VAT-inclusive prices report the tax for reference only
+  const adjustments = [];
+  if (taxAmount > 0 && !profile.taxIncluded) {
+    adjustments.push({ type: 'tax', calculation: 'fixed', value: roundPrice(taxAmount), split_method: 'proportional' });
+  }
+  if (discountAmount > 0) {
+    adjustments.push({ type: 'discount', calculation: 'fixed', value: roundPrice(discountAmount), split_method: 'proportional' });
+  }
+
+  return {
+    products: toProducts(items, warnings, confidences),
+    totalAmount,
+    subtotal,
+    taxAmount: roundPrice(taxAmount),
+    adjustments,
+    currency: profile.currency || detectedCurrency,
+    warnings,
+    unparsedLines: withConfidence(unparsedLines, confidences),
+    rawText: text,
+    profile: profile.id,
+  };
+}
+
+function matchGroups(patterns, line) {
+  for (const pattern of patterns) {
+    const match = pattern.exec(line);
+    if (match) return match.groups || {};
+  }
+  return null;
+}
+
+// Numbers as printed by a profile's store, e.g. "1,264" with a decimal comma
+function parseProfileNumber(value, decimalSeparator = '.') {
+  const digits = decimalSeparator === ','
+    ? value.replace(/\./g, '').replace(',', '.')
+    : value.replace(/,/g, '');
+  return parseFloat(digits.replace(/[^\d.-]/g, ''));
+}
+
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function readLineFields(groups, readNumber) {
+  const fields = {};
+  if (groups.name) fields.name = groups.name.replace(/\s+/g, ' ').trim();
+  if (groups.code) fields.code = groups.code;
+  if (groups.unit) fields.unit = groups.unit.toLowerCase();
+  for (const key of ['price', 'quantity', 'unit_price', 'weight']) {
+    if (groups[key]) fields[key] = readNumber(groups[key]);
+  }
+  return fields;
+}
+
+function toCents(value) {
+  return Math.round(value * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+function formatCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+function toProducts(items, warnings, confidences) {
+  return items.map(item => {
+    const product = toProduct(item, warnings);
+    if (product && confidences) {
+      product.confidence = lineConfidence(item.lines, confidences);
+    }
+    return product;
+  }).filter(Boolean);
+}
+
+// Add a detail line ("2 @ 1.49") to the item it describes
+function mergeDetail(item, fields, line) {
+  Object.assign(item, fields);
+  item.lines.push(line);
+}
+
+// OCR word confidences (0-100) keyed by line text, whitespace-normalised so
+// they can be matched to the lines the parser saw
+function buildConfidenceLookup(ocrLines) {
+  const lookup = new Map();
+  for (const line of ocrLines) {
+    const key = normalizeLine(line.text);
+    if (key) lookup.set(key, [...(lookup.get(key) || []), ...line.words]);
+  }
+  return lookup;
+}
+
+function normalizeLine(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Mean word confidence over an item's lines, or null if OCR didn't report them
+function lineConfidence(lines, confidences) {
+  const words = lines.flatMap(line => confidences.get(normalizeLine(line)) || []);
+  if (words.length === 0) return null;
+  return Math.round(words.reduce((total, confidence) => total + confidence, 0) / words.length);
+}
+
+function withConfidence(lines, confidences) {
+  return lines.map(text => (confidences ? { text, confidence: lineConfidence([text], confidences) } : { text }));
+}
+
+// Check quantity × unit price against the printed line total and turn the item
+// into a product: a unit price and a whole-number quantity, like the rest of the
+// app. Weighed items stay one line priced at their total, keeping the weight.
+// The printed line total is what was charged, so it wins any disagreement.
+function toProduct(item, warnings) {
+  const weight = item.weight
+    || (item.quantity !== undefined && !Number.isInteger(item.quantity) ? item.quantity : undefined);
+  const unitCents = item.unit_price !== undefined ? toCents(item.unit_price) : null;
+  let totalCents = item.price !== undefined ? toCents(item.price) : null;
+  let quantity = weight ? 1 : item.quantity;
+
+  if (unitCents !== null) {
+    // "MILK 1.49 2.98": the count is implied by unit price and line total
+    if (!weight && quantity === undefined && totalCents !== null && unitCents > 0) {
+      quantity = Math.max(1, Math.round(totalCents / unitCents));
+    }
+    const expectedCents = Math.round((weight || quantity || 1) * unitCents);
+    if (totalCents === null) {
+      totalCents = expectedCents;
+    } else if (Math.abs(expectedCents - totalCents) > LINE_TOTAL_TOLERANCE_CENTS) {
+      warnings.push(`"${item.name}": ${weight || quantity || 1} × ${formatCents(unitCents)} is ${formatCents(expectedCents)}, but ${formatCents(totalCents)} is printed`);
+      // A misread count is the likeliest cause when the total is a whole multiple
+      if (!weight && unitCents > 0 && totalCents % unitCents === 0) {
+        quantity = totalCents / unitCents;
+      }
+    }
+  }
+  if (totalCents === null || !item.name) return null;
+
+  const product = { name: item.name, price: fromCents(totalCents), quantity: 1, line_total: fromCents(totalCents) };
+  if (weight) {
+    Object.assign(product, { weight, unit: item.unit || null, unit_price: unitCents !== null ? fromCents(unitCents) : null });
+  } else if (quantity > 1) {
+    if (totalCents % quantity === 0) {
+      product.price = fromCents(totalCents / quantity);
+      product.quantity = quantity;
+    } else if (item.leadingQuantity) {
+      // "12 EGGS 3.99": the number was part of the name, not a count
+      product.name = `${quantity} ${item.name}`;
+    } else {
+      warnings.push(`"${item.name}": ${formatCents(totalCents)} doesn't divide evenly by ${quantity}, kept as a single line`);
+    }
+  }
+
+  if (item.code) product.code = item.code;
+  return product;
+}
+
+// Most frequent currency symbol or code on the receipt, or null if none is printed
+function detectCurrency(text) {
+  const counts = {};
+  for (const [symbol, code] of Object.entries(CURRENCY_SYMBOLS)) {
+    const occurrences = text.split(symbol).length - 1;
+    if (occurrences > 0) counts[code] = (counts[code] || 0) + occurrences;
+  }
+  for (const code of CURRENCY_CODES) {
+    const occurrences = (text.match(new RegExp(`\\b${code}\\b`, 'g')) || []).length;
+    if (occurrences > 0) counts[code] = (counts[code] || 0) + occurrences;
+  }
+  // Indian receipts often write rupees as "Rs." rather than ₹
+  const rupees = (text.match(/\bRs\.?(?=\s?\d)/g) || []).length;
+  if (rupees > 0) counts.INR = (counts.INR || 0) + rupees;
+  const detected = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return detected ? detected[0] : null;
+}
+
+// English keywords apply to every locale; receipts abroad often print them too
+function isHeaderFooter(line, locale) {
+  const headerFooterKeywords = [
+    'receipt', 'store', 'address', 'phone', 'date', 'time',
+    'cashier', 'register', 'thank', 'visit', 'card', 'change',
+    'subtotal', 'tax', 'total', 'amount', 'due'
+  ];
+  
+  const lowerLine = line.toLowerCase();
+  return headerFooterKeywords.some(keyword => lowerLine.includes(keyword))
+    || ['headerFooter', 'subtotal', 'tax', 'total'].some(kind => ReceiptLocales.hasKeyword(locale, kind, line));
+}
+
+function isSubtotalLine(line, locale) {
+  const lowerLine = line.toLowerCase();
+  return lowerLine.includes('subtotal') || lowerLine.includes('sub total')
+    || ReceiptLocales.hasKeyword(locale, 'subtotal', line);
+}
+
+// "TOTAL TAX 1.45" and "Tax total 1.45" are tax, but a total that says the tax is
+// included ("TOTAL INCL TAX 11.00", "Summe inkl. MwSt") is the total
+function isTaxLine(line, locale) {
+  return (/\b(tax|vat|gst)\b/i.test(line) || ReceiptLocales.hasKeyword(locale, 'tax', line))
+    && !(INCLUSIVE_TAX_REGEX.test(line) && isTotalLine(line, locale));
+}
+
+function isTotalLine(line, locale) {
+  const totalKeywords = ['total', 'amount due', 'grand total'];
+  const lowerLine = line.toLowerCase();
+  return totalKeywords.some(keyword => lowerLine.includes(keyword))
+    || ReceiptLocales.hasKeyword(locale, 'total', line);
+}
+
+function extractItemFromLine(line, locale) {
+  const { rules, parsePrice } = getGrammar(locale);
+  for (const rule of rules) {
+    const match = rule.pattern.exec(line);
+    if (!match) continue;
+    const item = readLineFields(match.groups, parsePrice);
+    if (rule.leadingQuantity) item.leadingQuantity = true;
+    return item;
+  }
+  return null;
+}
+
+// Text that could be (part of) an item name: letters and no price
+function looksLikeName(line) {
+  return /[a-z]{2,}/i.test(line) && !LOOSE_PRICE_REGEX.test(line);
+}
+
+module.exports = {
+  parseBillText,
+  detectCurrency,
+};
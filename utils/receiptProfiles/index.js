@@ -0,0 +1,99 @@
+// Registry of store-specific receipt parser profiles. Every *.json or *.js file in
+// this directory (other than this one) declares a profile: header patterns used to
+// detect the store, plus the line grammar for its items, discounts and totals.
+// See docs/receipt-profiles.md for the format and fixtures.
+
+const fs = require('fs');
+const path = require('path');
+const ReceiptLocales = require('../receiptLocales');
+
+const profiles = new Map();
+
+function toRegexList(patterns) {
+  if (!patterns) return [];
+  return (Array.isArray(patterns) ? patterns : [patterns]).map(pattern => new RegExp(pattern, 'i'));
+}
+
+// Validate a profile definition and compile its patterns
+function compileProfile(definition, source) {
+  const { id, name, detect, lines } = definition;
+  if (!id || !name) {
+    throw new Error(`Receipt profile ${source} needs an id and a name`);
+  }
+  if (!Array.isArray(detect) || detect.length === 0) {
+    throw new Error(`Receipt profile ${id} needs at least one detect pattern`);
+  }
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new Error(`Receipt profile ${id} needs at least one line rule`);
+  }
+  if (definition.locale && !ReceiptLocales.getLocale(definition.locale)) {
+    throw new Error(`Receipt profile ${id} has an unknown locale "${definition.locale}"`);
+  }
+  const totals = definition.totals || {};
+  return {
+    ...definition,
+    source,
+    detectLines: definition.detectLines || 8,
+    detect: toRegexList(detect),
+    skip: toRegexList(definition.skip),
+    discounts: toRegexList(definition.discounts),
+    totals: {
+      subtotal: toRegexList(totals.subtotal),
+      tax: toRegexList(totals.tax),
+      total: toRegexList(totals.total),
+    },
+    lines: lines.map(rule => ({ ...rule, pattern: new RegExp(rule.pattern, 'i') })),
+  };
+}
+
+function registerProfile(definition, source = 'inline') {
+  const profile = compileProfile(definition, source);
+  if (profiles.has(profile.id)) {
+    throw new Error(`Duplicate receipt profile id "${profile.id}" in ${source}`);
+  }
+  profiles.set(profile.id, profile);
+  return profile;
+}
+
+function loadProfiles(directory = __dirname) {
+  for (const file of fs.readdirSync(directory).sort()) {
+    const filePath = path.join(directory, file);
+    if (file === 'index.js' || !fs.statSync(filePath).isFile()) continue;
+    if (file.endsWith('.json')) {
+      registerProfile(JSON.parse(fs.readFileSync(filePath, 'utf8')), file);
+    } else if (file.endsWith('.js')) {
+      registerProfile(require(filePath), file);
+    }
+  }
+}
+
+// First profile whose detect pattern matches the receipt header, or null
+function detectProfile(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  for (const profile of profiles.values()) {
+    const header = lines.slice(0, profile.detectLines).join('\n');
+    if (profile.detect.some(pattern => pattern.test(header))) {
+      return profile;
+    }
+  }
+  return null;
+}
+
+function getProfile(id) {
+  return profiles.get(id) || null;
+}
+
+function listProfiles() {
+  return [...profiles.values()].map(({ id, name, source, currency, locale }) => ({
+    id, name, source, currency: currency || null, locale: locale || null,
+  }));
+}
+
+loadProfiles();
+
+module.exports = {
+  registerProfile,
+  detectProfile,
+  getProfile,
+  listProfiles,
+};
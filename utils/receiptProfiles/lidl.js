@@ -0,0 +1,26 @@
+// Lidl (Germany). Prices use a decimal comma and end in a VAT class letter; VAT is
+// already included in them, so the printed tax isn't added on top.
+const PRICE = '\\d+,\\d{2}';
+const VAT_CLASS = '[AB]';
+
+module.exports = {
+  id: 'lidl',
+  name: 'Lidl',
+  detect: ['\\blidl\\b'],
+  currency: 'EUR',
+  locale: 'de-DE',
+  decimalSeparator: ',',
+  taxIncluded: true,
+  skip: ['^-+$'],
+  totals: {
+    total: `^zu\\s+zahlen\\s+(?<price>${PRICE})$`,
+    // VAT breakdown: class, rate, net, tax, gross
+    tax: `^${VAT_CLASS}\\s+\\d+\\s*%\\s+${PRICE}\\s+(?<price>${PRICE})\\s+${PRICE}$`,
+  },
+  discounts: [`^(?:rabatt|preisvorteil)\\b.*?\\s+-(?<price>${PRICE})(?:\\s+${VAT_CLASS})?$`],
+  lines: [
+    { pattern: `^(?<weight>\\d+,\\d{3})\\s*(?<unit>kg)\\s*x\\s*(?<unit_price>${PRICE})\\s*EUR/kg$`, appliesTo: 'previous' },
+    { pattern: `^(?<quantity>\\d+)\\s*x\\s*(?<unit_price>${PRICE})$`, appliesTo: 'previous' },
+    { pattern: `^(?<name>.+?)\\s+(?<price>${PRICE})\\s+${VAT_CLASS}$` },
+  ],
+};
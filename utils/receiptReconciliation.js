@@ -0,0 +1,84 @@
+// Reconciliation of a parsed receipt against its printed subtotal, tax and total,
+// so OCR misses show up before the bill is split rather than after
+
+const Money = require('./money');
+
+// Off by more than this many minor units counts as a mismatch
+const TOLERANCE_MINOR = 1;
+// Tesseract word confidence (0-100) below which an item is worth double-checking
+const LOW_CONFIDENCE = 60;
+
+// Report for parseBillText output. `ocrConfidence` is Tesseract's mean confidence
+// for the whole page.
+function reconcileReceipt(parsedData, { ocrConfidence = null } = {}) {
+  const currency = parsedData.currency || undefined;
+  const toMinor = amount => Money.toMinorUnits(amount || 0, currency);
+  const fromMinor = amountMinor => Money.fromMinorUnits(amountMinor, currency);
+  const adjustmentTotal = type => Money.sum(
+    parsedData.adjustments.filter(adjustment => adjustment.type === type).map(adjustment => toMinor(adjustment.value))
+  );
+
+  const itemsMinor = Money.sum(parsedData.products.map(product => toMinor(product.line_total ?? product.price * product.quantity)));
+  const discountsMinor = adjustmentTotal('discount');
+  // Tax only adds to the total when it's charged on top (not VAT included in prices)
+  const addedTaxMinor = adjustmentTotal('tax');
+  const afterDiscounts = itemsMinor - discountsMinor;
+  const printed = {
+    subtotal: toMinor(parsedData.subtotal),
+    tax: toMinor(parsedData.taxAmount),
+    total: toMinor(parsedData.totalAmount),
+  };
+
+  const checks = [];
+  const addCheck = (check, printedMinor, calculatedMinor) => {
+    const differenceMinor = printedMinor - calculatedMinor;
+    checks.push({
+      check,
+      printed: fromMinor(printedMinor),
+      calculated: fromMinor(calculatedMinor),
+      difference: fromMinor(differenceMinor),
+      matched: Math.abs(differenceMinor) <= TOLERANCE_MINOR,
+    });
+  };
+
+  // Some stores print the subtotal before bill-level discounts, some after
+  const discountsInSubtotal = !(discountsMinor > 0
+    && Math.abs(printed.subtotal - itemsMinor) < Math.abs(printed.subtotal - afterDiscounts));
+  if (printed.subtotal > 0) {
+    addCheck('subtotal', printed.subtotal, discountsInSubtotal ? afterDiscounts : itemsMinor);
+  }
+  // The printed tax should account for the gap between printed subtotal and total
+  if (addedTaxMinor > 0 && printed.subtotal > 0 && printed.total > 0) {
+    addCheck('tax', printed.tax, printed.total - printed.subtotal + (discountsInSubtotal ? 0 : discountsMinor));
+  }
+  if (printed.total > 0) {
+    addCheck('total', printed.total, afterDiscounts + addedTaxMinor);
+  }
+
+  // Positive when the printed amounts are higher, i.e. items were probably missed
+  const itemCheck = checks.find(check => check.check === 'total') || checks.find(check => check.check === 'subtotal');
+
+  let status = 'unverified';
+  if (checks.length > 0) {
+    status = checks.every(check => check.matched) ? 'matched' : 'mismatch';
+  }
+
+  return {
+    status,
+    currency: parsedData.currency,
+    itemsTotal: fromMinor(itemsMinor),
+    discounts: fromMinor(discountsMinor),
+    checks,
+    unaccountedAmount: itemCheck ? itemCheck.difference : null,
+    unparsedLines: parsedData.unparsedLines || [],
+    lowConfidenceItems: parsedData.products
+      .filter(product => product.confidence !== undefined && product.confidence !== null && product.confidence < LOW_CONFIDENCE)
+      .map(product => ({ name: product.name, line_total: product.line_total, confidence: product.confidence })),
+    ocrConfidence: ocrConfidence !== null ? Math.round(ocrConfidence) : null,
+  };
+}
+
+module.exports = {
+  reconcileReceipt,
+  LOW_CONFIDENCE,
+};
@@ -0,0 +1,167 @@
+// Recurrence rules for scheduled bills. Everything is evaluated in UTC.
+//
+// - weekly:  every `interval` weeks from the start date
+// - monthly: every `interval` months on the start date's day of month (clamped to
+//            the last day of shorter months, e.g. the 31st becomes the 30th)
+// - cron:    standard five-field expression "minute hour day-of-month month day-of-week"
+//            with *, lists (1,15), ranges (1-5) and steps (*/2, 1-10/3)
+
+const FREQUENCIES = ['weekly', 'monthly', 'cron'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseCronField(part, { name, min, max }) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+    if (!match) {
+      throw new Error(`Invalid ${name} field "${part}"`);
+    }
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : Number(match[3] ?? (match[4] ? max : match[2]));
+    const step = Number(match[4] || 1);
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field "${part}"`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// Parse a five-field cron expression; throws with a readable message when invalid
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like cron: when both day fields are restricted, matching either is enough
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*',
+  };
+}
+
+function matchesCronDay(cron, date) {
+  const domMatch = cron.daysOfMonth.has(date.getUTCDate());
+  const dowMatch = cron.daysOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+  if (cron.anyDayOfMonth) return dowMatch;
+  if (cron.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+}
+
+// First minute strictly after `after` that matches the expression, or null if
+// none is found within five years (e.g. "0 0 31 2 *")
+function nextCronOccurrence(expression, after) {
+  const cron = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after.getTime() + 5 * 366 * DAY_MS;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesCronDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+function addMonthsClamped(start, months) {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year, month, Math.min(start.getUTCDate(), lastDay),
+    start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds()
+  ));
+}
+
+// Next occurrence strictly after `after` for a schedule with
+// { frequency, interval, cron, starts_at }. The start date itself is the first
+// occurrence, so pass a time just before it to include it.
+function getNextOccurrence(schedule, after) {
+  const start = new Date(schedule.starts_at);
+  const interval = schedule.interval || 1;
+
+  if (schedule.frequency === 'cron') {
+    return nextCronOccurrence(schedule.cron, after < start ? new Date(start.getTime() - 60 * 1000) : after);
+  }
+  if (after < start) return start;
+
+  if (schedule.frequency === 'weekly') {
+    const periodMs = 7 * interval * DAY_MS;
+    const periods = Math.floor((after.getTime() - start.getTime()) / periodMs) + 1;
+    return new Date(start.getTime() + periods * periodMs);
+  }
+  if (schedule.frequency === 'monthly') {
+    let periods = ((after.getUTCFullYear() - start.getUTCFullYear()) * 12
+      + after.getUTCMonth() - start.getUTCMonth());
+    periods = Math.max(0, Math.floor(periods / interval) * interval);
+    let next = addMonthsClamped(start, periods);
+    while (next <= after) {
+      periods += interval;
+      next = addMonthsClamped(start, periods);
+    }
+    return next;
+  }
+  throw new Error(`Unknown frequency "${schedule.frequency}"`);
+}
+
+// Validate a schedule's rule fields; returns an error message or null
+function validateSchedule({ frequency, interval = 1, cron, starts_at }) {
+  if (!FREQUENCIES.includes(frequency)) {
+    return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    return 'Interval must be a whole number between 1 and 52';
+  }
+  if (isNaN(new Date(starts_at).getTime())) {
+    return 'A valid start date is required';
+  }
+  if (frequency === 'cron') {
+    try {
+      if (!nextCronOccurrence(cron, new Date(starts_at))) {
+        return 'Cron expression never matches';
+      }
+    } catch (error) {
+      return error.message;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  FREQUENCIES,
+  parseCron,
+  nextCronOccurrence,
+  getNextOccurrence,
+  validateSchedule,
+};
@@ -0,0 +1,21 @@
+// Random link tokens (share links, invites). Only the SHA-256 hash is stored, so
+// a leaked database can't be turned into working links.
+const crypto = require('crypto');
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  daysFromNow,
+};